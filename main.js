@@ -1,19 +1,107 @@
 /*
   main.js — タイプ練習の中枢ロジック
   概要:
-  - Dvorak配列の仮想キーボードを生成（クリック入力対応）
+  - Dvorak配列の仮想キーボードを生成（クリック入力対応、JSON 形式の配列定義から生成・切替）
   - 英文/CLIの課題文から1行分だけを画面幅にフィットさせて表示
   - 入力評価は逐次1文字: 正解=黒 / ミス=赤 / 未入力=灰
   - 物理キーボード・仮想キーボードの両方をサポート
+  - 入力中は WPM / 正確率 / ミス数 / 経過時間を HUD に常時表示
+  - 完了したセッションは履歴として保存し、History パネルで一覧表示
+  - 入力途中の状態を保存し、次回読み込み時に続きから再開できる
+  - Lessons モード: ホーム段から段階的にキーを解放し、解放済みキーだけの課題を生成
+  - Drill モード: 仮想キーボードで選んだキーだけの単語ドリルを生成
+  - Adaptive モード: 記録したミスから苦手な文字・バイグラムを含む語を重点出題
+  - ファイルのドラッグ＆ドロップ、Ctrl+V の貼り付けでもテキストを読み込める
+  - Strict ルール: 単語の途中のスペースでのスキップを無効にする（それ以外は Normal と同じ）
+  - Library パネル: 読み込んだテキストを IndexedDB に保存し、再度開く・名前変更・削除
+  - Sections パネル: `## 見出し` ごとのセクションを選択・シャッフル・ループして練習
+  - タイムテスト: 15/30/60/120 秒のカウントダウン（最初の打鍵で開始）／語数テスト: 10/25/50/100 語
   - 文末入力完了後は自動で次の課題へ
 */
-// ===== Dvorak配列 =====
-const DVORAK_NUMBER_ROW = ["`","1","2","3","4","5","6","7","8","9","0","[","]"];
-const DVORAK_ROW1 = ["'", ",", ".", "p","y","f","g","c","r","l","/","=","\\"];
-const DVORAK_ROW2 = ["a","o","e","u","i","d","h","t","n","s","-"];
-const DVORAK_ROW3 = [";","q","j","k","x","b","m","w","v","z"];
+// ===== キー配列 =====
+// 配列定義（JSON 互換）: { id, name, rows: [[key, ...], ...] }
+//   rows : 物理キーボードの上から順（数字行 / 上段 / ホーム段 / 下段 / スペース段）。最初の4段は必須
+//   key  : [基底文字, Shift文字, 指] の配列、または
+//          { base, shift, finger, width } / { special: 'tab'|'backspace'|'enter'|'shift'|'space', label, width }
+//   finger: LP LR LM LI（左の小指/薬指/中指/人差し指）・RI RM RR RP（右）・TH（親指）
+//   width : 標準キー=1 とした相対幅（省略時は既定の見た目）
+//   code  : 対応する物理キーの KeyboardEvent.code（省略時は PHYSICAL_CODES の同じ位置）
+// 外部の .json も同じ形式で読み込める（例: layouts/colemak.json）
+const BUILTIN_LAYOUTS = [
+  {
+    id: 'us-dvorak',
+    name: 'US Dvorak',
+    rows: [
+      [["`","~","LP"], ["1","!","LP"], ["2","@","LR"], ["3","#","LM"], ["4","$","LI"], ["5","%","LI"], ["6","^","RI"], ["7","&","RI"], ["8","*","RM"], ["9","(","RR"], ["0",")","RP"], ["[","{","RP"], ["]","}","RP"], {"special":"backspace"}],
+      [{"special":"tab"}, ["'","\"","LP"], [",","<","LR"], [".",">","LM"], ["p","P","LI"], ["y","Y","LI"], ["f","F","RI"], ["g","G","RI"], ["c","C","RM"], ["r","R","RR"], ["l","L","RP"], ["/","?","RP"], ["=","+","RP"], ["\\","|","RP"]],
+      [["a","A","LP"], ["o","O","LR"], ["e","E","LM"], ["u","U","LI"], ["i","I","LI"], ["d","D","RI"], ["h","H","RI"], ["t","T","RM"], ["n","N","RR"], ["s","S","RP"], ["-","_","RP"], {"special":"enter"}],
+      [{"special":"shift"}, [";",":","LP"], ["q","Q","LR"], ["j","J","LM"], ["k","K","LI"], ["x","X","LI"], ["b","B","RI"], ["m","M","RI"], ["w","W","RM"], ["v","V","RR"], ["z","Z","RP"], {"special":"shift"}],
+      [{"special":"space"}],
+    ],
+  },
+  {
+    // 数字は Shift 側（& [ { } ( = * ) + ] ! の記号行）
+    id: 'programmer-dvorak',
+    name: 'Programmer Dvorak',
+    rows: [
+      [["$","~","LP"], ["&","%","LP"], ["[","7","LR"], ["{","5","LM"], ["}","3","LI"], ["(","1","LI"], ["=","9","RI"], ["*","0","RI"], [")","2","RM"], ["+","4","RR"], ["]","6","RP"], ["!","8","RP"], ["#","`","RP"], {"special":"backspace"}],
+      [{"special":"tab"}, [";",":","LP"], [",","<","LR"], [".",">","LM"], ["p","P","LI"], ["y","Y","LI"], ["f","F","RI"], ["g","G","RI"], ["c","C","RM"], ["r","R","RR"], ["l","L","RP"], ["/","?","RP"], ["@","^","RP"], ["\\","|","RP"]],
+      [["a","A","LP"], ["o","O","LR"], ["e","E","LM"], ["u","U","LI"], ["i","I","LI"], ["d","D","RI"], ["h","H","RI"], ["t","T","RM"], ["n","N","RR"], ["s","S","RP"], ["-","_","RP"], {"special":"enter"}],
+      [{"special":"shift"}, ["'","\"","LP"], ["q","Q","LR"], ["j","J","LM"], ["k","K","LI"], ["x","X","LI"], ["b","B","RI"], ["m","M","RI"], ["w","W","RM"], ["v","V","RR"], ["z","Z","RP"], {"special":"shift"}],
+      [{"special":"space"}],
+    ],
+  },
+];
+const DEFAULT_LAYOUT_ID = 'us-dvorak';
+const SPECIAL_KEYS = {
+  backspace: { label: '⌫', finger: 'RP' },
+  tab: { label: 'Tab', finger: 'LP' },
+  enter: { label: 'Enter', finger: 'RP' },
+  shift: { label: 'Shift', finger: null }, // 左右は位置で決める
+  space: { label: 'Space', finger: 'TH' },
+};
+// US(ANSI) キーボードの物理位置。配列エミュレート時に e.code → 文字キーを引くのに使う
+const PHYSICAL_CODES = [
+  ["Backquote","Digit1","Digit2","Digit3","Digit4","Digit5","Digit6","Digit7","Digit8","Digit9","Digit0","Minus","Equal"],
+  ["KeyQ","KeyW","KeyE","KeyR","KeyT","KeyY","KeyU","KeyI","KeyO","KeyP","BracketLeft","BracketRight","Backslash"],
+  ["KeyA","KeyS","KeyD","KeyF","KeyG","KeyH","KeyJ","KeyK","KeyL","Semicolon","Quote"],
+  ["KeyZ","KeyX","KeyC","KeyV","KeyB","KeyN","KeyM","Comma","Period","Slash"],
+];
+// rows の段の役割（PHYSICAL_CODES の位置対応と Lessons のホーム段に使う）
+const LAYOUT_MIN_ROWS = PHYSICAL_CODES.length; // 数字行 / 上段 / ホーム段 / 下段 は必須
+const LAYOUT_HOME_ROW = 2;
+const KEY_UNIT_PX = 46; // width=1 のキー幅（.key の min-width と揃える）
 
 // ===== 課題文 =====
+// 生成課題（レッスンなど）用の組み込み単語リスト（頻出英単語）
+const COMMON_WORDS = (
+  'the of and to in is it you that he was for on are with as his they be at one have this from or had by ' +
+  'word but what some we can out other were all there when up use your how said an each she which do their time ' +
+  'if will way about many then them write would like so these her long make thing see him two has look more day ' +
+  'could go come did number sound no most people my over know water than call first who may down side been now ' +
+  'find any new work part take get place made live where after back little only round man year came show every ' +
+  'good me give our under name very through just form sentence great think say help low line differ turn cause ' +
+  'much mean before move right boy old too same tell does set three want air well also play small end put home ' +
+  'read hand port large spell add even land here must big high such follow act why ask men change went light ' +
+  'kind off need house picture try us again animal point mother world near build self earth father head stand ' +
+  'own page should country found answer school grow study still learn plant cover food sun four between state ' +
+  'keep eye never last let thought city tree cross farm hard start might story saw far sea draw left late run ' +
+  'while press close night real life few north open seem together next white children begin got walk example ' +
+  'ease paper group always music those both mark often letter until mile river car feet care second book carry ' +
+  'took science eat room friend began idea fish mountain stop once base hear horse cut sure watch color face ' +
+  'wood main enough plain girl usual young ready above ever red list though feel talk bird soon body dog family ' +
+  'direct pose leave song measure door product black short numeral class wind question happen complete ship ' +
+  'area half rock order fire south problem piece told knew pass since top whole king space heard best hour ' +
+  'better true during hundred five remember step early hold west ground interest reach fast verb sing listen ' +
+  'six table travel less morning ten simple several vowel toward war lay against pattern slow center love ' +
+  'person money serve appear road map rain rule govern pull cold notice voice unit power town fine certain fly ' +
+  'fall lead cry dark machine note wait plan figure star box noun field rest correct able pound done beauty ' +
+  'drive stood contain front teach week final gave green oh quick develop ocean warm free minute strong ' +
+  'special mind behind clear tail produce fact street inch multiply nothing course stay wheel full force blue ' +
+  'object decide surface deep moon island foot system busy test record boat common gold possible plane dry ' +
+  'wonder laugh thousand ago ran check game shape equate hot miss brought heat snow tire bring yes distant fill ' +
+  'east paint language among jazz quiz zone jump vex quart zest jinx'
+).split(' ');
 // ===== 状態 =====
 // sourceWords    : 教材本文の全単語を線形に保持
 // flatText       : 実際に1行表示される文字列（画面幅に合わせて末尾カット）
@@ -24,6 +112,8 @@ const DVORAK_ROW3 = [";","q","j","k","x","b","m","w","v","z"];
 const DEFAULT_TEXT_PATH = 'default.txt';
 const DEFAULT_TEXT_FALLBACK = '## Presentation01\nBecause Japan is surrounded by the sea, and 67% of its land area is mountainous, there are numerous scenic spots in Japan.';
 let currentFileName = '';
+let currentBlocks = [];       // {heading, text}[]（途中再開のスナップショット用に保持）
+let currentDatasetHash = '';  // 教材本文のハッシュ（ファイル名と合わせて教材を識別）
 
 // 共通：候補単語列（教材内の本文全体を単語化）
 let exercises = [];          // string[]（教材テキスト）
@@ -40,11 +130,29 @@ let nextPreview2 = "";      // 次々行のプレビューテキスト
 let typingStartTime = null;  // タイピング開始時刻（ms）
 let typingEndTime = null;    // タイピング完了時刻（ms）
 let totalRequiredChars = 0;  // 教材全体の入力すべき文字数（スペース含む）
+let sessionStats = createSessionStats(); // 打鍵数・正解数・ミス数（ライブ表示用）
+let sessionWorkload = createWorkload();  // このセッションの指・手・段ごとの打鍵（Workload パネル用）
+let keystrokeLog = [];        // このセッションの打鍵記録（Replay / ゴースト用）: { t, pos, type: 'char'|'space'|'backspace', ch, code, ok }
+let recordingStartOffset = 0; // 打鍵開始時の wordsOffset（記録する語の先頭。途中再開なら null）
+let recordingLines = [];      // 確定した各行の語数（再生時に同じ行分けを再現する）
+let resumedElapsedMs = 0;    // 途中再開時に引き継いだ経過時間（次の打鍵で計測を再開）
+let lastKeyTime = null;      // 直前の打鍵時刻（ms）。キー別レイテンシの計測用
 
 // Shift系
 let shiftSticky = false;
 let shiftPhysical = false;
 
+// 配列（選択と読み込んだ外部配列は localStorage に保存）
+let LAYOUTS = {};            // 配列ID → normalizeLayout() の結果
+let activeLayoutId = DEFAULT_LAYOUT_ID;
+let inputRule = 'normal';    // 'normal' | 'strict'（スペースでのスキップ不可） | 'nobackspace'（ミスも確定して前進、修正不可）
+let missedPositions = new Set(); // 現在行でミスした位置（後で正解すれば修正済みミスとして数える）
+let blindMode = 'off';       // 'off' | 'hints'（次キーのヒントを隠す） | 'keyboard'（キーボードごと隠す）
+let blindAuto = false;       // true: 一定回数・正確率を満たしたら blindMode を1段階進める
+let fingerGuide = true;      // true: キーを担当指の色で塗り、次の文字の指を手の図で示す
+let heatmapMode = 'off';     // 'off' | 'miss'（ミス率） | 'speed'（平均レイテンシ）
+let emulateLayout = false;   // true: OS配列に関係なく e.code（物理位置）から文字を生成
+
 // ===== 要素 =====
 const textEl = document.getElementById("text");
 const keyboardEl = document.getElementById("keyboard");
@@ -52,28 +160,155 @@ const filePicker = document.getElementById("filePicker");
 const fileStatus = document.getElementById("fileStatus");
 const dlBtn = document.getElementById("dlBtn");
 const pickBtn = document.getElementById("pickBtn");
+const layoutSelect = document.getElementById("layoutSelect");
+const layoutPicker = document.getElementById("layoutPicker");
+const layoutPickBtn = document.getElementById("layoutPickBtn");
+const emulateToggle = document.getElementById("emulateToggle");
+const fingerToggle = document.getElementById("fingerToggle");
+const ghostToggle = document.getElementById("ghostToggle");
+const handDiagram = document.getElementById("handDiagram");
+const historyBtn = document.getElementById("historyBtn");
+const historyPanel = document.getElementById("historyPanel");
+const historyList = document.getElementById("historyList");
+const historyClearBtn = document.getElementById("historyClearBtn");
+const historyCsvBtn = document.getElementById("historyCsvBtn");
+const historyJsonBtn = document.getElementById("historyJsonBtn");
+const historyImportBtn = document.getElementById("historyImportBtn");
+const historyImportPicker = document.getElementById("historyImportPicker");
+const ngramCsvBtn = document.getElementById("ngramCsvBtn");
+const resumeBanner = document.getElementById("resumeBanner");
+const resumeLabel = document.getElementById("resumeLabel");
+const resumeBtn = document.getElementById("resumeBtn");
+const resumeDismissBtn = document.getElementById("resumeDismissBtn");
+const noticeEl = document.getElementById("notice");
+const modeSelect = document.getElementById("modeSelect");
+const modeInfo = document.getElementById("modeInfo");
+const drillControls = document.getElementById("drillControls");
+const drillPickBtn = document.getElementById("drillPickBtn");
+const drillClearBtn = document.getElementById("drillClearBtn");
+const drillKindSelect = document.getElementById("drillKindSelect");
+const drillStartBtn = document.getElementById("drillStartBtn");
+const testSelect = document.getElementById("testSelect");
+const testSourceSelect = document.getElementById("testSourceSelect");
+const sectionBtn = document.getElementById("sectionBtn");
+const sectionPanel = document.getElementById("sectionPanel");
+const sectionList = document.getElementById("sectionList");
+const sectionAllBtn = document.getElementById("sectionAllBtn");
+const sectionNoneBtn = document.getElementById("sectionNoneBtn");
+const sectionShuffleToggle = document.getElementById("sectionShuffleToggle");
+const sectionLoopToggle = document.getElementById("sectionLoopToggle");
+const sectionPracticeBtn = document.getElementById("sectionPracticeBtn");
+const libraryBtn = document.getElementById("libraryBtn");
+const libraryPanel = document.getElementById("libraryPanel");
+const libraryList = document.getElementById("libraryList");
+const ruleSelect = document.getElementById("ruleSelect");
+const blindSelect = document.getElementById("blindSelect");
+const blindAutoToggle = document.getElementById("blindAutoToggle");
+const blindAutoCriteria = document.getElementById("blindAutoCriteria");
+const blindAutoSessionsInput = document.getElementById("blindAutoSessions");
+const blindAutoAccuracyInput = document.getElementById("blindAutoAccuracy");
+const heatmapBtn = document.getElementById("heatmapBtn");
+const ngramBtn = document.getElementById("ngramBtn");
+const ngramPanel = document.getElementById("ngramPanel");
+const workloadBtn = document.getElementById("workloadBtn");
+const replayBtn = document.getElementById("replayBtn");
+const replayPanel = document.getElementById("replayPanel");
+const replayList = document.getElementById("replayList");
+const replaySpeedSelect = document.getElementById("replaySpeedSelect");
+const workloadPanel = document.getElementById("workloadPanel");
+const workloadList = document.getElementById("workloadList");
+const workloadSessionSelect = document.getElementById("workloadSessionSelect");
+const ngramList = document.getElementById("ngramList");
+const ngramLengthSelect = document.getElementById("ngramLengthSelect");
+const ngramDrillBtn = document.getElementById("ngramDrillBtn");
+const progressBtn = document.getElementById("progressBtn");
+const progressPanel = document.getElementById("progressPanel");
+const progressSummary = document.getElementById("progressSummary");
+const wpmChart = document.getElementById("wpmChart");
+const accuracyChart = document.getElementById("accuracyChart");
+const statsEl = document.getElementById("stats");
 
 // ===== ユーティリティ =====
 // clamp         : 数値の範囲制限
 // cssEscape     : data属性用の安全なセレクタ化
-// SHIFT_MAP     : Shift押下時の置換表
+// SHIFT_MAP     : Shift押下時の置換表（選択中の配列に追従）
 // REVERSE_SHIFT_MAP: 記号→ベースキーの逆引き
 const clamp = (n,min,max)=>Math.max(min,Math.min(max,n));
 const cssEscape = (s)=> (window.CSS && CSS.escape) ? CSS.escape(s) : String(s).replace(/[^a-zA-Z0-9_-]/g, '\\$&');
-const SHIFT_MAP = {"1":"!","2":"@","3":"#","4":"$","5":"%","6":"^","7":"&","8":"*","9":"(","0":")","[":"{","]":"}","`":"~","-":"_","=":"+","/":"?","\\":"|",";":":",",":"<",".":">","'":"\""};
-const REVERSE_SHIFT_MAP = Object.fromEntries(Object.entries(SHIFT_MAP).map(([k,v])=>[v,k]));
-function escapeHTML(s){ return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
+let SHIFT_MAP = {};
+let REVERSE_SHIFT_MAP = {};
+function hashText(text){
+  // FNV-1a（32bit）。教材の同一性判定用
+  let h = 0x811c9dc5;
+  for(let i=0;i<text.length;i++){
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
+function escapeHTML(s){ return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;'); }
+
+// ===== 設定の保存 =====
+const STORAGE_PREFIX = 'dvorak-typing:';
+function loadStored(key, fallback){
+  try{
+    const raw = localStorage.getItem(STORAGE_PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  }catch(err){
+    console.error(err);
+    return fallback;
+  }
+}
+let storageErrorReported = false;
+function saveStored(key, value){
+  // 戻り値: 保存できたか。容量不足などで失敗したら（1回だけ）利用者に知らせる
+  try{
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    return true;
+  }catch(err){
+    console.error(err);
+    if(!storageErrorReported){
+      storageErrorReported = true;
+      showNotice('ブラウザの保存領域に書き込めませんでした（容量不足の可能性があります）。Replay の記録や履歴を削除すると保存できるようになります。');
+    }
+    return false;
+  }
+}
 
 function nowMs(){
   return (typeof performance !== 'undefined' && performance.now) ? performance.now() : Date.now();
 }
+function createSessionStats(){
+  // typed: 打鍵数（スペース含む） / correct: 正解打鍵 / errors: ミス打鍵＋スキップした文字
+  // corrected: ミス後に正しく打ち直した文字 / uncorrected: ミスのまま確定した行内の文字
+  // committed: 確定した行で最終的に正しかった文字（行送りのスペースを含む。net WPM に使う）
+  // keyErrors: 期待キー（基底コード）→ ミス打鍵数
+  return { typed: 0, correct: 0, errors: 0, corrected: 0, uncorrected: 0, committed: 0, keyErrors: {} };
+}
 function resetTypingMetrics(){
   typingStartTime = null;
   typingEndTime = null;
+  resumedElapsedMs = 0;
+  clearTimeout(testTimer);
+  sessionStats = createSessionStats();
+  sessionWorkload = createWorkload();
+  keystrokeLog = [];
+  recordingLines = [];
+  missedPositions = new Set();
+  resetKeyTiming();
+  stopGhost();
+  activeGhost = null;
+  updateStatsHud();
 }
 function ensureTypingStarted(){
   if(typingStartTime == null){
-    typingStartTime = nowMs();
+    typingStartTime = nowMs() - resumedElapsedMs;
+    // 途中再開したセッションは行の途中から始まるため記録しない
+    recordingStartOffset = resumedElapsedMs ? null : wordsOffset;
+    resumedElapsedMs = 0;
+    hideResumeBanner();
+    startTestCountdown();
+    startGhost();
   }
 }
 function markTypingCompleted(){
@@ -101,6 +336,61 @@ function formatDuration(ms){
   parts.push(`${seconds}s`);
   return parts.join('');
 }
+function elapsedTypingMs(){
+  // 再生中は記録上の経過時間（再生速度に関係なく実際の WPM を表示）
+  if(replayState) return replayState.elapsed;
+  if(typingStartTime == null) return resumedElapsedMs;
+  const end = typingEndTime != null ? typingEndTime : nowMs();
+  return Math.max(0, end - typingStartTime);
+}
+function computeLiveStats(){
+  // net WPM = 最終的に正しい文字/5/分（打ち直した文字は1回だけ数える）、raw WPM = 全打鍵/5/分、accuracy = 正解打鍵/(正解+ミス)
+  const elapsed = elapsedTypingMs();
+  const minutes = elapsed / 60000;
+  const { typed, correct, errors } = sessionStats;
+  const attempts = correct + errors;
+  const finalCorrect = (sessionStats.committed || 0) + countLineMarks(1);
+  return {
+    elapsed,
+    netWpm: minutes > 0 ? (finalCorrect / 5) / minutes : 0,
+    rawWpm: minutes > 0 ? (typed / 5) / minutes : 0,
+    accuracy: attempts > 0 ? (correct / attempts) * 100 : 100,
+    errors,
+    corrected: sessionStats.corrected || 0,
+    uncorrected: (sessionStats.uncorrected || 0) + countLineMarks(-1),
+  };
+}
+function countLineMarks(value){
+  // 現在行で marks が value（1=正解 / -1=ミス）の文字数
+  let count = 0;
+  for(const m of marks) if(m === value) count++;
+  return count;
+}
+function commitLineMarks(){
+  // 行を確定する時点の marks を計上（残っているミス表示は未修正ミス、正解は net WPM 用）
+  sessionStats.uncorrected = (sessionStats.uncorrected || 0) + countLineMarks(-1);
+  sessionStats.committed = (sessionStats.committed || 0) + countLineMarks(1);
+  missedPositions = new Set();
+}
+function setStatValue(name, value){
+  if(!statsEl) return;
+  const el = statsEl.querySelector(`[data-stat="${name}"]`);
+  if(el) el.textContent = value;
+}
+function updateStatsHud(){
+  if(!statsEl) return;
+  const live = computeLiveStats();
+  setStatValue('wpm', live.netWpm.toFixed(1));
+  setStatValue('raw', live.rawWpm.toFixed(1));
+  setStatValue('accuracy', `${live.accuracy.toFixed(1)}%`);
+  setStatValue('errors', String(live.errors));
+  setStatValue('corrected', String(live.corrected));
+  setStatValue('uncorrected', String(live.uncorrected));
+  // タイムテスト中は残り時間を表示
+  const remaining = testRemainingMs();
+  setStatValue('time', remaining != null ? formatDuration(remaining) : formatDuration(live.elapsed));
+  updateGhostStat();
+}
 function buildCompletionSummary(){
   const elapsed = markTypingCompleted();
   if(elapsed == null) return '';
@@ -122,6 +412,16 @@ function showStatusMessage(message){
   if(!textEl) return;
   textEl.innerHTML = `<div class="line status">${escapeHTML(message)}</div>`;
 }
+// 練習中の本文を消さずに知らせる（保存の失敗など）。NOTICE_MS 後に消える
+const NOTICE_MS = 8000;
+let noticeTimer = 0;
+function showNotice(message){
+  if(!noticeEl) return;
+  clearTimeout(noticeTimer);
+  noticeEl.textContent = message;
+  noticeEl.hidden = false;
+  noticeTimer = setTimeout(()=>{ noticeEl.hidden = true; }, NOTICE_MS);
+}
 
 function parseCompiledText(raw, fallbackHeading='Text'){
   const lines = raw.split(/\r?\n/);
@@ -180,10 +480,7 @@ function loadFromFile(file){
   reader.onload = ()=>{
     try{
       const text = typeof reader.result === 'string' ? reader.result : '';
-      const base = file.name.replace(/\.[^.]+$/, '') || 'Text';
-      const blocks = parseCompiledText(text, base);
-      applyDataset(blocks);
-      setFileStatus(`${file.name}`);
+      loadFromText(text, file.name);
       if(filePicker) filePicker.value = '';
     }catch(err){
       console.error(err);
@@ -201,12 +498,80 @@ function loadFromFile(file){
   reader.readAsText(file);
 }
 
+function loadFromText(text, fileName){
+  // ファイル・ドロップ・貼り付けの共通経路（見出し `## ...` は parseCompiledText で解釈）
+  const base = fileName.replace(/\.[^.]+$/, '') || 'Text';
+  const blocks = parseCompiledText(text, base);
+  applyTextDataset(fileName, blocks);
+  setFileStatus(`${fileName}`);
+  // 読み込んだテキストはライブラリにも保存（失敗しても練習は続けられる）
+  if(blocks.length){
+    // 保存完了までに別の教材へ切り替えていたら ID を付け替えない
+    const dataset = lastTextDataset;
+    saveTextToLibrary(fileName, text)
+      .then(id=>{ if(lastTextDataset === dataset) currentLibraryId = id; })
+      .catch(err=>console.error(err));
+  }
+}
+function isMidTyping(){
+  return typingStartTime != null && typingEndTime == null;
+}
+function pastedFileName(){
+  const d = new Date();
+  const pad = (n)=>String(n).padStart(2, '0');
+  return `Pasted ${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())} ${pad(d.getHours())}${pad(d.getMinutes())}.txt`;
+}
+function isFormTarget(e){
+  return Boolean(e.target && e.target.closest && e.target.closest('input, textarea, select'));
+}
+function onPaste(e){
+  // 入力途中・パネル表示中・入力欄では無視
+  if(isMidTyping() || anyPanelOpen()) return;
+  if(isFormTarget(e)) return;
+  const text = e.clipboardData ? e.clipboardData.getData('text') : '';
+  if(!text || !text.trim()) return;
+  e.preventDefault();
+  loadFromText(text, pastedFileName());
+}
+function hasDraggedFiles(e){
+  return Boolean(e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files'));
+}
+function initDropTarget(){
+  // ページ全体にファイルをドロップして読み込む
+  let depth = 0;
+  window.addEventListener('dragenter', (e)=>{
+    if(!hasDraggedFiles(e)) return;
+    depth++;
+    document.body.classList.add('dragging');
+  });
+  window.addEventListener('dragleave', (e)=>{
+    if(!hasDraggedFiles(e)) return;
+    depth = Math.max(0, depth - 1);
+    if(!depth) document.body.classList.remove('dragging');
+  });
+  window.addEventListener('dragover', (e)=>{
+    if(hasDraggedFiles(e)) e.preventDefault();
+  });
+  window.addEventListener('drop', (e)=>{
+    if(!hasDraggedFiles(e)) return;
+    e.preventDefault();
+    depth = 0;
+    document.body.classList.remove('dragging');
+    const file = Array.from(e.dataTransfer.files || []).find(f=>/\.txt$/i.test(f.name) || /^text\//.test(f.type));
+    if(file) loadFromFile(file);
+    else showStatusMessage('テキストファイル（.txt）をドロップしてください。');
+  });
+}
+
 function loadDefaultText(){
   if(!DEFAULT_TEXT_PATH) return;
   const applyText = (text)=>{
     const base = DEFAULT_TEXT_PATH.replace(/\.[^.]+$/, '') || 'Text';
     const blocks = parseCompiledText(text, base);
     if(!blocks.length) throw new Error('Dataset is empty');
+    lastTextDataset = { fileName: DEFAULT_TEXT_PATH, blocks };
+    // 起動時にレッスンモードが選ばれていればレッスンを優先
+    if(practiceMode !== 'text') return setPracticeMode(practiceMode);
     currentFileName = DEFAULT_TEXT_PATH;
     applyDataset(blocks);
     setFileStatus(`${DEFAULT_TEXT_PATH}`);
@@ -239,7 +604,14 @@ function loadDefaultText(){
     });
 }
 
+function blocksHash(blocks){
+  return hashText(blocks.map(b=>b.text).join('\n'));
+}
 function applyDataset(blocks){
+  cancelReplay();
+  continueAction = null;
+  currentBlocks = blocks.map(b=>({ heading: b.heading, text: b.text }));
+  currentDatasetHash = blocksHash(blocks);
   exercises = blocks.map(b=>b.text);
   wordsOffset = 0;
   cursor = 0;
@@ -253,33 +625,195 @@ function applyDataset(blocks){
     return;
   }
   pickSentence();
+  offerResume();
+}
+
+// ===== 配列定義の解釈 =====
+// normalizeLayout: JSON 定義 → { id, name, rows, keys, shiftMap, physicalMap }
+//   rows[][] の各要素は { code, base, shift, label, finger, width, special, physical, row }
+//   code は data-key に使う基底コード（文字キー=基底文字 / 特殊キー=名前）
+function normalizeLayoutKey(raw, index, rowLength){
+  let def = raw;
+  if(typeof def === 'string') def = { base: def };
+  else if(Array.isArray(def)) def = { base: def[0], shift: def[1], finger: def[2] };
+  if(!def || typeof def !== 'object') throw new Error('キー定義が不正です。');
+  const width = Number(def.width) > 0 ? Number(def.width) : null;
+  if(def.special){
+    const spec = SPECIAL_KEYS[def.special];
+    if(!spec) throw new Error(`未対応の特殊キーです: ${def.special}`);
+    let finger = def.finger || spec.finger;
+    if(def.special === 'shift' && !finger) finger = index < rowLength / 2 ? 'LP' : 'RP';
+    return { code: def.special, base: null, shift: null, label: def.label || spec.label, finger: finger || null, width, special: true };
+  }
+  const base = def.base == null ? '' : String(def.base);
+  if([...base].length !== 1) throw new Error(`キーの文字は1文字で指定してください: "${base}"`);
+  let shift = def.shift == null ? '' : String(def.shift);
+  if(!shift && base.toUpperCase() !== base) shift = base.toUpperCase();
+  if(shift && [...shift].length !== 1) throw new Error(`Shift文字は1文字で指定してください: "${shift}"`);
+  const physical = def.code ? String(def.code) : null;
+  return { code: base, base, shift: shift || null, label: base, finger: def.finger || null, width, special: false, physical };
+}
+function normalizeLayout(def, fallbackId='custom'){
+  if(!def || typeof def !== 'object' || !Array.isArray(def.rows) || !def.rows.length){
+    throw new Error('配列定義に rows がありません。');
+  }
+  const id = String(def.id || fallbackId).trim() || fallbackId;
+  const rows = def.rows.map(row=>{
+    if(!Array.isArray(row)) throw new Error('rows の各要素は配列で指定してください。');
+    return row.map((raw, i)=>normalizeLayoutKey(raw, i, row.length));
+  });
+  if(rows.length < LAYOUT_MIN_ROWS){
+    throw new Error(`rows は数字行・上段・ホーム段・下段の${LAYOUT_MIN_ROWS}段以上を上から順に指定してください。`);
+  }
+  if(!rows[LAYOUT_HOME_ROW].some(key=>!key.special)){
+    throw new Error(`ホーム段（rows の${LAYOUT_HOME_ROW + 1}段目）に文字キーがありません。`);
+  }
+  const keys = {};
+  const shiftMap = {};
+  const physicalMap = {};
+  rows.forEach((row, rowIndex)=>{
+    let column = 0;
+    row.forEach(key=>{
+      if(key.special){
+        if(!keys[key.code]) keys[key.code] = key;
+        return;
+      }
+      if(keys[key.code]) throw new Error(`キー "${key.code}" が重複しています。`);
+      keys[key.code] = key;
+      key.row = rowIndex;
+      if(key.shift && key.shift !== key.base) shiftMap[key.base] = key.shift;
+      if(!key.physical) key.physical = (PHYSICAL_CODES[rowIndex] || [])[column] || null;
+      if(key.physical) physicalMap[key.physical] = key;
+      column++;
+    });
+  });
+  return { id, name: String(def.name || id), rows, keys, shiftMap, physicalMap };
+}
+function registerLayout(def, fallbackId){
+  const layout = normalizeLayout(def, fallbackId);
+  LAYOUTS[layout.id] = layout;
+  return layout;
+}
+
+// ===== 配列の切替 =====
+function activeLayout(){ return LAYOUTS[activeLayoutId] || LAYOUTS[DEFAULT_LAYOUT_ID]; }
+function layoutCharKeys(){
+  const keys = [];
+  activeLayout().rows.forEach(row=>row.forEach(key=>{ if(!key.special) keys.push(key); }));
+  return keys;
+}
+function applyLayoutMaps(){
+  SHIFT_MAP = activeLayout().shiftMap;
+  REVERSE_SHIFT_MAP = {};
+  Object.entries(SHIFT_MAP).forEach(([k,v])=>{ if(!(v in REVERSE_SHIFT_MAP)) REVERSE_SHIFT_MAP[v] = k; });
+}
+function setActiveLayout(id){
+  const previous = activeLayout();
+  activeLayoutId = LAYOUTS[id] ? id : DEFAULT_LAYOUT_ID;
+  saveStored('layout', activeLayoutId);
+  if(layoutSelect) layoutSelect.value = activeLayoutId;
+  applyLayoutMaps();
+  remapDrillKeys(previous, activeLayout());
+  buildKeyboard();
+  syncShiftKeys();
+  updateHeatmap();
+  updateLockedKeys();
+  updatePickedKeys();
+  updateNextKeyHint();
+}
+function initLayouts(){
+  LAYOUTS = {};
+  BUILTIN_LAYOUTS.forEach(def=>registerLayout(def));
+  const custom = loadStored('customLayouts', []);
+  (Array.isArray(custom) ? custom : []).forEach(def=>{
+    try{
+      registerLayout(def);
+    }catch(err){
+      console.error(err);
+    }
+  });
+  activeLayoutId = loadStored('layout', DEFAULT_LAYOUT_ID);
+  if(!LAYOUTS[activeLayoutId]) activeLayoutId = DEFAULT_LAYOUT_ID;
+  applyLayoutMaps();
+}
+function setEmulateLayout(on){
+  emulateLayout = Boolean(on);
+  saveStored('emulate', emulateLayout);
+  if(emulateToggle) emulateToggle.checked = emulateLayout;
+}
+function isAltGraph(e){
+  // AltGr は環境によって Ctrl+Alt として届く
+  return e.altKey || Boolean(e.getModifierState && e.getModifierState('AltGraph'));
+}
+function isShortcutKey(e){
+  return (e.ctrlKey && !isAltGraph(e)) || e.metaKey;
+}
+function emulatedKeyFor(e){
+  // ショートカットや AltGr/Option で打つ文字は OS の出力に任せる
+  if(!emulateLayout || isShortcutKey(e) || isAltGraph(e)) return null;
+  return activeLayout().physicalMap[e.code] || null;
+}
+function loadLayoutFromFile(file){
+  if(!file) return;
+  const reader = new FileReader();
+  reader.onload = ()=>{
+    try{
+      const def = JSON.parse(typeof reader.result === 'string' ? reader.result : '');
+      const fallbackId = file.name.replace(/\.[^.]+$/, '') || 'custom';
+      let layout = normalizeLayout(def, fallbackId);
+      // 組み込み配列は上書きしない
+      if(BUILTIN_LAYOUTS.some(b=>b.id === layout.id)){
+        def.id = `custom-${layout.id}`;
+        layout = normalizeLayout(def, fallbackId);
+      }
+      const stored = loadStored('customLayouts', []).filter(d=>d && d.id !== layout.id);
+      stored.push(Object.assign({}, def, { id: layout.id }));
+      saveStored('customLayouts', stored);
+      LAYOUTS[layout.id] = layout;
+      populateLayoutSelect();
+      setActiveLayout(layout.id);
+    }catch(err){
+      console.error(err);
+      showNotice(`配列ファイルを読み込めませんでした。${err.message}`);
+    }
+    if(layoutPicker) layoutPicker.value = '';
+  };
+  reader.onerror = ()=>{
+    console.error(reader.error);
+    showNotice('配列ファイルを読み込めませんでした。');
+    if(layoutPicker) layoutPicker.value = '';
+  };
+  reader.readAsText(file);
+}
+function populateLayoutSelect(){
+  if(!layoutSelect) return;
+  layoutSelect.innerHTML = '';
+  Object.values(LAYOUTS).forEach(layout=>{
+    const opt = document.createElement('option');
+    opt.value = layout.id;
+    opt.textContent = layout.name;
+    layoutSelect.appendChild(opt);
+  });
+  layoutSelect.value = activeLayoutId;
 }
 
 // ===== 仮想キーボード =====
-// Dvorak配列に基づき5段（数字/第1〜3行/スペース）を生成。
+// 選択中の配列定義の rows を上から順に生成（通常は数字/第1〜3行/スペースの5段）。
 // 各キーは data-key に基底コードを持ち、クリックで handleVirtualKey()。
 function buildKeyboard(){
   if(!keyboardEl) return;
   keyboardEl.innerHTML = "";
-  const row = (keys, head=null, tail=null)=>{
+  activeLayout().rows.forEach(keys=>{
     const r = document.createElement('div'); r.className='row';
-    if(head) r.appendChild(makeKey(head.label, head.code, true));
-    keys.forEach(k=> r.appendChild(makeKey(k,k)));
-    if(tail) r.appendChild(makeKey(tail.label, tail.code, true));
-    return r;
-  };
-  const num = document.createElement('div'); num.className='row';
-  DVORAK_NUMBER_ROW.forEach(k=>num.appendChild(makeKey(k,k)));
-  num.appendChild(makeKey("⌫","backspace",true));
-  keyboardEl.appendChild(num);
-
-  keyboardEl.appendChild(row(DVORAK_ROW1,{label:'Tab',code:'tab'}));
-  keyboardEl.appendChild(row(DVORAK_ROW2,null,{label:'Enter',code:'enter'}));
-  keyboardEl.appendChild(row(DVORAK_ROW3,{label:'Shift',code:'shift'},{label:'Shift',code:'shift'}));
-
-  const spaceRow=document.createElement('div'); spaceRow.className='row';
-  spaceRow.appendChild(makeKey('Space','space',true)); spaceRow.querySelector('.key').classList.add('space');
-  keyboardEl.appendChild(spaceRow);
+    keys.forEach(key=>{
+      const el = makeKey(key.special ? key.label : key.base, key.code, key.special);
+      if(key.code==='space') el.classList.add('space');
+      if(key.finger) el.dataset.finger = key.finger;
+      if(key.width) el.style.minWidth = `${Math.round(key.width * KEY_UNIT_PX)}px`;
+      r.appendChild(el);
+    });
+    keyboardEl.appendChild(r);
+  });
 }
 function makeKey(label, code, wide=false){ const b=document.createElement('button'); b.className="key"+(wide?" wide":""); b.textContent=label; b.dataset.key=code; b.addEventListener('click',()=>handleVirtualKey(code)); return b; }
 function getKeyEl(code){ if(!keyboardEl) return null; return keyboardEl.querySelector(`[data-key="${cssEscape(code)}"]`); }
@@ -288,14 +822,9 @@ function isShiftActive(){ return shiftSticky || shiftPhysical; }
 function syncShiftKeys(){ const a=isShiftActive(); keyboardEl.querySelectorAll('[data-key="shift"]').forEach(el=>el.classList.toggle('active',a)); updateKeyLabelsForShift(); }
 function updateKeyLabelsForShift(){
   const a=isShiftActive();
-  [DVORAK_NUMBER_ROW, DVORAK_ROW1, DVORAK_ROW2, DVORAK_ROW3].forEach(row=>{
-    row.forEach(base=>{
-      const el=getKeyEl(base); if(!el) return;
-      let label=base;
-      if(a){ if(SHIFT_MAP[base]) label=SHIFT_MAP[base]; else if(/^[a-z]$/.test(base)) label=base.toUpperCase(); }
-      else { if(/^[A-Z]$/.test(label)) label=label.toLowerCase(); }
-      el.textContent=label;
-    });
+  layoutCharKeys().forEach(key=>{
+    const el=getKeyEl(key.code); if(!el) return;
+    el.textContent = (a && key.shift) ? key.shift : key.base;
   });
 }
 function resolveOutput(code){
@@ -308,7 +837,6 @@ function resolveOutput(code){
   if(code.length===1){
     const was=isShiftActive();
     if(shiftSticky && was){ shiftSticky=false; syncShiftKeys(); }
-    if(/[a-z]/.test(code)) return was ? code.toUpperCase() : code;
     return was && SHIFT_MAP[code] ? SHIFT_MAP[code] : code;
   }
   return null;
@@ -362,6 +890,7 @@ function layoutThreeLines(){
   textEl.style.maxWidth = `${targetWidth}px`;
   textEl.style.width = `${targetWidth}px`;
 
+  ensureWordSupply();
   const poolWords = futureWordsPool();
   if(!poolWords.length){
     flatText = "";
@@ -377,7 +906,10 @@ function layoutThreeLines(){
   const oldFlat = flatText;
   const minKeep = minWordsToKeepForCursor(oldFlat, oldCursor);
 
-  const currentWords = fitWordsToWidthWithMinimum(poolWords, targetWidth, Math.max(1, minKeep));
+  // 再生中は記録した行の語数で区切る（画面幅が違っても打鍵がずれないように）
+  const currentWords = replayState && replayState.lines.length
+    ? poolWords.slice(0, replayState.lines[0])
+    : fitWordsToWidthWithMinimum(poolWords, targetWidth, Math.max(1, minKeep));
   currentWordCount = currentWords.length;
   flatText = currentWords.join(' ');
 
@@ -389,6 +921,8 @@ function layoutThreeLines(){
     for(let i=0;i<flatText.length;i++){
       if(i<cursor) arr[i] = (prevMarks[i]===-1) ? -1 : 1;
     }
+    // カーソル位置の未修正ミス（Normal / Strict で打ち直し待ち）も残す
+    if(cursor < flatText.length && prevMarks[cursor]===-1) arr[cursor] = -1;
     marks = arr;
   };
   rebuildMarks();
@@ -409,6 +943,7 @@ function layoutThreeLines(){
 // CSS 側で `.char.correct` `.char.wrong` `.char.current` を色分け表示。
 function renderText(){
   if(!textEl) return;
+  const ghostAt = ghostLineIndex();
   let currentHtml="";
   for(let i=0;i<flatText.length;i++){
     const ch=flatText[i];
@@ -418,6 +953,7 @@ function renderText(){
     else if(m===-1) cls+=' wrong';
     else cls+=' pending';
     if(i===cursor) cls+=' current';
+    if(i===ghostAt) cls+=' ghost';
     currentHtml += `<span class="${cls}">${escapeHTML(ch)}</span>`;
   }
 
@@ -446,23 +982,20 @@ function clearKeyHints(){
   keyboardEl.querySelectorAll('.key.hint, .key.hint-aux').forEach(el=>{
     el.classList.remove('hint','hint-aux');
   });
-}
-function hasBaseKey(code){
-  return DVORAK_NUMBER_ROW.includes(code) || DVORAK_ROW1.includes(code) || DVORAK_ROW2.includes(code) || DVORAK_ROW3.includes(code) || code==='space' || code==='tab' || code==='backspace' || code==='enter' || code==='shift';
+  if(handDiagram) handDiagram.querySelectorAll('.finger.lit').forEach(el=>el.classList.remove('lit'));
 }
 function computeKeyForChar(ch){
   if(ch===' ') return {code:'space', needShift:false};
-  if(/^[a-z]$/.test(ch)) return {code:ch, needShift:false};
-  if(/^[A-Z]$/.test(ch)) return {code:ch.toLowerCase(), needShift:true};
-  // 記号: Shiftで生成される場合は逆引き、そうでなければ素の記号
+  // 基底文字として配列にあればそのキー、Shiftで生成される場合は逆引き
+  const key = activeLayout().keys[ch];
+  if(key && !key.special) return {code:ch, needShift:false};
   if(REVERSE_SHIFT_MAP[ch]) return {code:REVERSE_SHIFT_MAP[ch], needShift:true};
-  if(hasBaseKey(ch)) return {code:ch, needShift:false};
   // 未対応文字は予告しない
   return null;
 }
 function updateNextKeyHint(){
   clearKeyHints();
-  if(!keyboardEl) return;
+  if(!keyboardEl || blindMode !== 'off') return;
   const expected = flatText[cursor];
   if(!expected) return;
   const map = computeKeyForChar(expected);
@@ -472,6 +1005,28 @@ function updateNextKeyHint(){
   if(map.needShift){
     keyboardEl.querySelectorAll('[data-key="shift"]').forEach(el=> el.classList.add('hint-aux'));
   }
+  lightFingerFor(map);
+}
+
+// ===== 指の割り当て =====
+// 配列定義の finger（LP〜RP, TH）でキーを色分けし、次の文字を打つ指を手の図で点灯する。
+function setFingerGuide(on){
+  fingerGuide = Boolean(on);
+  saveStored('fingers', fingerGuide);
+  if(fingerToggle) fingerToggle.checked = fingerGuide;
+  if(keyboardEl) keyboardEl.classList.toggle('fingers', fingerGuide);
+  if(handDiagram) handDiagram.hidden = !fingerGuide;
+}
+function lightFingerFor(map){
+  if(!handDiagram || !fingerGuide) return;
+  const key = activeLayout().keys[map.code];
+  if(!key || !key.finger) return;
+  const fingers = [key.finger];
+  // Shift は打鍵する手と反対側の小指で押す
+  if(map.needShift) fingers.push(key.finger[0] === 'L' ? 'RP' : 'LP');
+  fingers.forEach(finger=>{
+    handDiagram.querySelectorAll(`.finger[data-finger="${finger}"]`).forEach(el=>el.classList.add('lit'));
+  });
 }
 
 
@@ -486,10 +1041,72 @@ function downloadLayouts(){
   downloadFile('assets/Dvorak-keyboard-A4.pdf','Dvorak-keyboard-A4.pdf');
 }
 
+// ===== 入力ルール =====
+const INPUT_RULES = ['normal', 'strict', 'nobackspace'];
+function setInputRule(rule){
+  inputRule = INPUT_RULES.includes(rule) ? rule : 'normal';
+  saveStored('inputRule', inputRule);
+  if(ruleSelect) ruleSelect.value = inputRule;
+}
+
+// ===== ブラインドモード =====
+// 次キーのヒント（またはキーボード全体）を隠す。Auto では直近の練習が基準を満たすたびに1段階ずつ進める。
+const BLIND_MODES = ['off', 'hints', 'keyboard'];
+const BLIND_AUTO_DEFAULT_SESSIONS = 5;
+const BLIND_AUTO_DEFAULT_ACCURACY = 95;
+let blindAutoSessions = BLIND_AUTO_DEFAULT_SESSIONS;  // Auto: この回数続けて…
+let blindAutoAccuracy = BLIND_AUTO_DEFAULT_ACCURACY;  // …この正確率（%）以上なら1段階進める
+function setBlindMode(mode){
+  const next = BLIND_MODES.includes(mode) ? mode : 'off';
+  // 段階が変わった時点から Auto の判定回数を数え直す
+  if(next !== blindMode) saveStored('blindSince', Date.now());
+  blindMode = next;
+  saveStored('blindMode', blindMode);
+  if(blindSelect) blindSelect.value = blindMode;
+  document.body.classList.toggle('blind-keyboard', blindMode === 'keyboard');
+  updateNextKeyHint();
+}
+function setBlindAuto(on){
+  blindAuto = Boolean(on);
+  saveStored('blindAuto', blindAuto);
+  saveStored('blindSince', Date.now());
+  if(blindAutoToggle) blindAutoToggle.checked = blindAuto;
+  if(blindAutoCriteria) blindAutoCriteria.hidden = !blindAuto;
+}
+function setBlindAutoCriteria(sessions, accuracy){
+  const n = Math.round(Number(sessions));
+  const acc = Number(accuracy);
+  blindAutoSessions = Number.isFinite(n) ? clamp(n, 1, 100) : BLIND_AUTO_DEFAULT_SESSIONS;
+  blindAutoAccuracy = Number.isFinite(acc) ? clamp(acc, 0, 100) : BLIND_AUTO_DEFAULT_ACCURACY;
+  saveStored('blindAutoSessions', blindAutoSessions);
+  saveStored('blindAutoAccuracy', blindAutoAccuracy);
+  if(blindAutoSessionsInput) blindAutoSessionsInput.value = String(blindAutoSessions);
+  if(blindAutoAccuracyInput) blindAutoAccuracyInput.value = String(blindAutoAccuracy);
+}
+function advanceBlindMode(){
+  // 段階変更後の練習が blindAutoSessions 回続けて基準を満たしたら次の段階へ
+  if(!blindAuto || blindMode === 'keyboard') return '';
+  const since = Number(loadStored('blindSince', 0)) || 0;
+  const recent = loadSessionHistory()
+    .filter(r=>Date.parse(r.date) >= since)
+    .sort((a,b)=>Date.parse(a.date) - Date.parse(b.date))
+    .slice(-blindAutoSessions);
+  if(recent.length < blindAutoSessions) return '';
+  if(recent.some(r=>!(Number(r.accuracy) >= blindAutoAccuracy))) return '';
+  setBlindMode(BLIND_MODES[BLIND_MODES.indexOf(blindMode) + 1]);
+  return blindMode === 'hints' ? 'キーのヒントを非表示にしました' : 'キーボードを非表示にしました';
+}
+
 // ===== 入力処理 =====
 // handleVirtualKey: 仮想キーの押下を resolve → onChar へ
 // onChar         : 期待文字と比較し、正解なら前進 / ミスなら赤表示
 function handleVirtualKey(code){
+  if(replayState) return;
+  if(drillPicking){
+    // ドリルのキー選択中は文字キーのクリックで選択を切り替える
+    if(activeLayout().keys[code] && !activeLayout().keys[code].special) toggleDrillKey(code);
+    return;
+  }
   if(code === 'backspace') return onBackspace();
   if(code === 'space') return handleSpaceKey('space');
   const out = resolveOutput(code);
@@ -504,7 +1121,18 @@ function onChar(input, baseCode){
   ensureTypingStarted();
   const ch = String(input);
   const ok = expected === ch;
+  scheduleResumeSave();
+  logKeystroke({ type: 'char', ch, code: baseCode || null, ok });
+  addWorkloadChar(sessionWorkload, ch);
+  sessionStats.typed++;
+  if(ok) sessionStats.correct++; else sessionStats.errors++;
+  // 再生中はキー別・n-gram の累積統計に加えない
+  if(!replayState){
+    const latency = recordKeyStat(expected, ok);
+    recordNgramStat(flatText.slice(Math.max(0, cursor - 2), cursor), expected, ok, latency);
+  }
   if(ok){
+    if(missedPositions.delete(cursor)) sessionStats.corrected++;
     marks[cursor] = 1;
     const keyId = baseCode || ch.toLowerCase();
     if(keyId===' ') flashKey('space', true); else flashKey(keyId, true);
@@ -513,40 +1141,71 @@ function onChar(input, baseCode){
     // 行末到達時の自動遷移はしない（スペース押下で進む）
   }else{
     marks[cursor] = -1;
+    missedPositions.add(cursor);
+    const expectedKey = computeKeyForChar(expected);
+    const errorKey = expectedKey ? expectedKey.code : expected;
+    sessionStats.keyErrors[errorKey] = (sessionStats.keyErrors[errorKey] || 0) + 1;
     const keyId = baseCode || ch.toLowerCase();
     if(keyId) flashKey(keyId, false);
+    // No-backspace ではミスを確定させたまま次の文字へ進む
+    if(inputRule === 'nobackspace') cursor = clamp(cursor+1,0,flatText.length);
     renderText();
   }
+  // 修正済み・未修正ミスの表示は marks 更新後に反映
+  updateStatsHud();
 }
 function onBackspace(){
+  logKeystroke({ type: 'backspace' });
+  if(inputRule === 'nobackspace'){ flashKey('backspace', false); return; }
+  scheduleResumeSave();
   // ミス表示があればまず解除。なければ1文字戻る（正解表示も解除）
-  if(marks[cursor]===-1){ marks[cursor]=0; renderText(); return; }
+  if(marks[cursor]===-1){ marks[cursor]=0; renderText(); updateStatsHud(); return; }
   if(cursor>0){ cursor--; marks[cursor]=0; renderText(); }
 }
 
 function handleSpaceKey(baseCode='space'){
   if(!flatText.length){
     flashKey(baseCode, true);
+    if(continueAction){
+      const action = continueAction;
+      continueAction = null;
+      action();
+    }
     return;
   }
   ensureTypingStarted();
+  scheduleResumeSave();
+  addWorkloadChar(sessionWorkload, ' ');
   if(cursor===flatText.length){
+    logKeystroke({ type: 'space', code: baseCode });
+    sessionStats.typed++;
+    sessionStats.correct++;
+    sessionStats.committed = (sessionStats.committed || 0) + 1;
+    updateStatsHud();
     flashKey(baseCode, true);
     return advanceLine();
   }
   const expected = flatText[cursor];
-  if(expected === ' '){
+  // Strict では単語の途中でスペースを押してもスキップせず、通常のミスとして扱う
+  if(expected === ' ' || inputRule === 'strict'){
     return onChar(' ', baseCode);
   }
+  logKeystroke({ type: 'space', code: baseCode });
   const nextSpace = flatText.indexOf(' ', cursor);
   const end = nextSpace === -1 ? flatText.length : nextSpace;
   let hadMistake = false;
   for(let i=cursor; i<end; i++){
     if(marks[i] !== 1){
+      // 既にミス表示の文字は onChar で計上済み
+      if(marks[i] !== -1) sessionStats.errors++;
       marks[i] = -1;
       hadMistake = true;
     }
   }
+  sessionStats.typed++;
+  if(nextSpace !== -1) sessionStats.correct++;
+  updateStatsHud();
+  resetKeyTiming();
   cursor = end;
   if(nextSpace !== -1){
     if(nextSpace < marks.length) marks[nextSpace] = 1;
@@ -574,9 +1233,10 @@ function prepareSource(){
     const words = wordsFromText(text);
     if(words.length) flattened.push(...words);
   });
-  sourceWords = flattened;
-  if(flattened.length){
-    const totalChars = flattened.reduce((acc, word)=> acc + word.length, 0) + Math.max(flattened.length - 1, 0);
+  // 語数テストでは N 語だけを取り出す
+  sourceWords = testMode.kind === 'words' ? sampleTestWords(flattened, testMode.value) : flattened;
+  if(sourceWords.length){
+    const totalChars = sourceWords.reduce((acc, word)=> acc + word.length, 0) + Math.max(sourceWords.length - 1, 0);
     totalRequiredChars = totalChars;
   }else{
     totalRequiredChars = 0;
@@ -618,28 +1278,1863 @@ function buildCurrentLineHTMLWithoutCursor(){
 function advanceLine(){
   // 現在行を履歴に送り、残りの本文から次行を生成
   historyHTML = buildCurrentLineHTMLWithoutCursor();
+  commitLineMarks();
+  recordLineBreak();
+  resetKeyTiming();
   wordsOffset += currentWordCount;
   cursor = 0;
   marks = [];
   currentWordCount = 0;
 
+  ensureWordSupply();
   if(wordsOffset >= sourceWords.length){
     flatText = "";
     nextPreview1 = "";
     nextPreview2 = "";
     renderText();
+    if(replayState) return finishReplay();
     const summary = buildCompletionSummary();
-    showStatusMessage(`Complete!${summary}`);
+    const record = finishSession();
+    const next = afterSessionComplete(record);
+    if(testMode.kind){
+      if(!continueAction) continueAction = restartPractice;
+      showResultScreen(`Complete! ${testLabel()}`, record, next || 'Spaceでもう一度');
+      return;
+    }
+    showStatusMessage(`Complete!${summary}${next ? ` / ${next}` : ''}`);
+    return;
+  }
+  layoutThreeLines();
+}
+function finishSession(){
+  // 完了した1回分を履歴に保存（buildCompletionSummary で終了時刻は確定済み）
+  if(typingStartTime == null) return null;
+  const live = computeLiveStats();
+  const record = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    date: new Date().toISOString(),
+    fileName: currentFileName || '',
+    layout: activeLayoutId,
+    durationMs: Math.round(live.elapsed),
+    wpm: Math.round(live.netWpm * 10) / 10,
+    rawWpm: Math.round(live.rawWpm * 10) / 10,
+    accuracy: Math.round(live.accuracy * 10) / 10,
+    errors: live.errors,
+    corrected: live.corrected,
+    uncorrected: live.uncorrected,
+    chars: sessionStats.correct,
+    test: testLabel(),
+    keyErrors: Object.assign({}, sessionStats.keyErrors),
+    workload: workloadSummary(sessionWorkload),
+  };
+  addSessionToHistory(record);
+  saveRecording(record);
+  saveKeyStats();
+  deleteResumeSnapshot(datasetKey());
+  return record;
+}
+
+// ===== 生成課題 =====
+// 許可されたキーだけで打てる単語を組み込み単語リストから選び、足りなければ疑似語で補う。
+const PSEUDO_VOWELS = 'aeiouy';
+function randomItem(list){ return list[Math.floor(Math.random() * list.length)]; }
+function shuffleInPlace(list){
+  for(let i=list.length-1;i>0;i--){
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+function wordsUsingOnly(pool, allowed){
+  const seen = new Set();
+  return pool.filter(word=>{
+    const w = word.toLowerCase();
+    if(seen.has(w) || !w.length) return false;
+    seen.add(w);
+    return [...w].every(ch=>allowed.has(ch));
+  });
+}
+function makePseudoWord(allowed, length=3 + Math.floor(Math.random() * 4)){
+  // 子音・母音を交互に並べて発音できそうな語を作る
+  const letters = [...allowed].filter(ch=>/^[a-z]$/.test(ch));
+  const vowels = letters.filter(ch=>PSEUDO_VOWELS.includes(ch));
+  const consonants = letters.filter(ch=>!PSEUDO_VOWELS.includes(ch));
+  if(!letters.length) return '';
+  if(!vowels.length || !consonants.length){
+    return Array.from({ length }, ()=>randomItem(letters)).join('');
+  }
+  let useVowel = Math.random() < 0.4;
+  let word = '';
+  for(let i=0;i<length;i++){
+    word += randomItem(useVowel ? vowels : consonants);
+    useVowel = !useVowel;
+  }
+  return word;
+}
+function generatePracticeWords(allowed, count, focus=[]){
+  // focus のキーを含む語を優先（半分以上を目安）
+  const real = shuffleInPlace(wordsUsingOnly(COMMON_WORDS, allowed));
+  const focused = focus.length ? real.filter(w=>focus.some(ch=>w.includes(ch))) : [];
+  const words = [];
+  const pick = (list)=>{ if(list.length) words.push(randomItem(list)); };
+  for(let i=0;i<count;i++){
+    if(focused.length && i % 2 === 0) pick(focused);
+    else if(real.length >= 8 && Math.random() < 0.75) pick(real);
+    else{
+      let w = makePseudoWord(allowed);
+      if(focus.length && !focus.some(ch=>w.includes(ch))) w = randomItem(focus) + w.slice(1);
+      if(w) words.push(w);
+    }
+  }
+  return words;
+}
+function applyGeneratedWords(words, label){
+  currentFileName = label;
+  applyDataset([{ heading: label, text: words.join(' ') }]);
+  setFileStatus(label);
+}
+
+// ===== 練習モード・レッスン =====
+// practiceMode: 'text'（読み込んだ教材） | 'lesson'（キー段階解放のレッスン） | 'drill'（選んだキーだけのドリル）
+//               | 'adaptive'（ミスの多い文字・バイグラムを重点的に出題）
+// レッスンはホーム段から始め、基準（正確率・WPM）を満たすたびに頻度順で2キーずつ解放する。
+const PRACTICE_MODES = ['text', 'lesson', 'drill', 'adaptive'];
+const LESSON_FREQUENCY_ORDER = 'etaoinshrdlcumwfgypbvkjxqz';
+const LESSON_KEYS_PER_STEP = 2;
+const LESSON_BATCH_WORDS = 30;
+const LESSON_PASS_ACCURACY = 95;
+const LESSON_PASS_WPM = 15;
+let practiceMode = 'text';
+let lessonLevel = 0;
+let lastTextDataset = null;   // { fileName, blocks }（Text モードへ戻るときに再適用）
+let continueAction = null;    // 完了画面で Space を押したときの続き
+
+function lessonSteps(){
+  // 選択中配列のホーム段の英字 → 残りの英字を頻度順に2つずつ
+  const homeRow = (activeLayout().rows[LAYOUT_HOME_ROW] || []).filter(k=>!k.special && /^[a-z]$/.test(k.base)).map(k=>k.base);
+  const available = new Set(layoutCharKeys().map(k=>k.base).filter(ch=>/^[a-z]$/.test(ch)));
+  const steps = [homeRow];
+  const rest = [...LESSON_FREQUENCY_ORDER].filter(ch=>available.has(ch) && !homeRow.includes(ch));
+  for(let i=0;i<rest.length;i+=LESSON_KEYS_PER_STEP) steps.push(rest.slice(i, i + LESSON_KEYS_PER_STEP));
+  return steps;
+}
+function lessonAllowedKeys(level=lessonLevel){
+  const steps = lessonSteps();
+  return new Set(steps.slice(0, clamp(level, 0, steps.length - 1) + 1).flat());
+}
+function lessonLabel(){
+  const steps = lessonSteps();
+  const level = clamp(lessonLevel, 0, steps.length - 1);
+  const fresh = level ? ` + ${steps[level].join(' ')}` : '';
+  return `Lesson ${level + 1}/${steps.length}${fresh}`;
+}
+function startLesson(){
+  const steps = lessonSteps();
+  const level = clamp(lessonLevel, 0, steps.length - 1);
+  const allowed = lessonAllowedKeys(level);
+  const focus = level ? steps[level] : [];
+  applyGeneratedWords(generatePracticeWords(allowed, LESSON_BATCH_WORDS, focus), lessonLabel());
+  updateModeInfo();
+  updateLockedKeys();
+}
+function evaluateLesson(record){
+  // 基準を満たせば次のキーを解放。結果メッセージを返す
+  const steps = lessonSteps();
+  const passed = record && record.accuracy >= LESSON_PASS_ACCURACY && record.wpm >= LESSON_PASS_WPM;
+  let message;
+  if(passed && lessonLevel < steps.length - 1){
+    lessonLevel++;
+    saveStored('lessonLevel', lessonLevel);
+    message = `合格！ ${steps[lessonLevel].join(' ')} を解放しました`;
+  }else if(passed){
+    message = '全キー解放済みです';
+  }else{
+    message = `基準（${LESSON_PASS_ACCURACY}% / ${LESSON_PASS_WPM} WPM）未達。もう一度`;
+  }
+  continueAction = startLesson;
+  return `${message} — Spaceで次へ`;
+}
+function updateLockedKeys(){
+  // レッスン中は未解放のキーを薄く表示
+  if(!keyboardEl) return;
+  const allowed = practiceMode === 'lesson' ? lessonAllowedKeys() : null;
+  layoutCharKeys().forEach(key=>{
+    const el = getKeyEl(key.code);
+    if(el) el.classList.toggle('locked', Boolean(allowed) && !allowed.has(key.base));
+  });
+}
+function updateModeInfo(){
+  if(!modeInfo) return;
+  if(practiceMode === 'lesson'){
+    modeInfo.textContent = `${lessonLabel()}（合格: ${LESSON_PASS_ACCURACY}% / ${LESSON_PASS_WPM} WPM）`;
+  }else if(practiceMode === 'drill'){
+    modeInfo.textContent = drillPicking
+      ? `キーをクリックして選択（${drillKeys.size} keys）`
+      : `Drill: ${drillKeys.size ? [...drillKeys].join(' ') : 'キー未選択'}${drillRealMissing ? '（選んだキーだけの実在語がないため疑似語で出題）' : ''}`;
+  }else if(practiceMode === 'adaptive'){
+    const weak = weakestTargets(ADAPTIVE_FOCUS_COUNT).map(t=>t.gram);
+    modeInfo.textContent = `Adaptive — focus: ${weak.length ? weak.join(' ') : '（記録が増えると弱点を重点出題）'}`;
+  }else{
+    modeInfo.textContent = '';
+  }
+}
+function setPracticeMode(mode, { apply=true }={}){
+  practiceMode = PRACTICE_MODES.includes(mode) ? mode : 'text';
+  saveStored('practiceMode', practiceMode);
+  if(modeSelect) modeSelect.value = practiceMode;
+  continueAction = null;
+  if(apply){
+    if(practiceMode === 'lesson') startLesson();
+    else if(practiceMode === 'drill') startDrill();
+    else if(practiceMode === 'adaptive') startAdaptive();
+    else if(lastTextDataset){
+      currentFileName = lastTextDataset.fileName;
+      applyDataset(lastTextDataset.blocks);
+      setFileStatus(currentFileName);
+    }
+  }
+  if(practiceMode !== 'drill') setDrillPicking(false);
+  if(drillControls) drillControls.hidden = practiceMode !== 'drill';
+  updateModeInfo();
+  updateLockedKeys();
+}
+function applyTextDataset(fileName, blocks, libraryId=null){
+  // 読み込んだ教材は Text モードで練習（レッスン中なら切り替える）
+  lastTextDataset = { fileName, blocks };
+  currentLibraryId = libraryId;
+  sectionSelection = [];
+  if(practiceMode !== 'text') setPracticeMode('text', { apply: false });
+  currentFileName = fileName;
+  applyDataset(blocks);
+}
+function afterSessionComplete(record){
+  // ライブラリの教材を練習し終えたら最終練習日を更新
+  if(record && currentLibraryId && lastTextDataset && currentFileName === lastTextDataset.fileName){
+    touchLibraryText(currentLibraryId);
+  }
+  // 完了メッセージに追記する文言を返す（モード別の続き＋ブラインドの段階変更）
+  return [modeFollowUp(record), saveGhostIfBest(record), advanceBlindMode()].filter(Boolean).join(' / ');
+}
+function modeFollowUp(record){
+  // モード別の続き（continueAction を設定）
+  if(practiceMode === 'lesson') return evaluateLesson(record);
+  if(practiceMode === 'text' && sectionLoop && sectionSelection.length){
+    continueAction = restartPractice;
+    return 'Spaceで同じセクションをもう一度';
+  }
+  if(practiceMode === 'drill'){
+    continueAction = startDrill;
+    return 'Spaceで次のドリルへ';
+  }
+  if(practiceMode === 'adaptive'){
+    continueAction = startAdaptive;
+    return 'Spaceで次の課題へ';
+  }
+  return '';
+}
+
+// ===== テキストライブラリ（IndexedDB） =====
+// 読み込んだ .txt を保存し、Library パネルから再度開く・名前変更・削除できるようにする。
+// texts ストア: { id, title, fileName, size（バイト数）, content, hash, addedAt, lastPracticedAt（最後に練習を完了した日時） }
+const LIBRARY_DB_NAME = 'dvorak-typing';
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE = 'texts';
+let libraryDbPromise = null;
+let currentLibraryId = null;  // 練習中の教材のライブラリID（ライブラリ外なら null）
+
+function openLibraryDb(){
+  if(libraryDbPromise) return libraryDbPromise;
+  libraryDbPromise = new Promise((resolve, reject)=>{
+    if(!window.indexedDB){
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const req = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+    req.onupgradeneeded = ()=>{
+      const db = req.result;
+      if(!db.objectStoreNames.contains(LIBRARY_STORE)) db.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+    };
+    req.onsuccess = ()=> resolve(req.result);
+    req.onerror = ()=> reject(req.error);
+  });
+  // 失敗したら次回やり直せるようにする
+  libraryDbPromise.catch(()=>{ libraryDbPromise = null; });
+  return libraryDbPromise;
+}
+function libraryRequest(mode, run){
+  // run(store) が返す IDBRequest の結果を Promise で返す
+  return openLibraryDb().then(db=>new Promise((resolve, reject)=>{
+    const tx = db.transaction(LIBRARY_STORE, mode);
+    const req = run(tx.objectStore(LIBRARY_STORE));
+    tx.oncomplete = ()=> resolve(req ? req.result : undefined);
+    tx.onerror = ()=> reject(tx.error);
+    tx.onabort = ()=> reject(tx.error);
+  }));
+}
+function listLibraryTexts(){
+  return libraryRequest('readonly', store=>store.getAll()).then(list=>list || []);
+}
+function getLibraryText(id){
+  return libraryRequest('readonly', store=>store.get(id));
+}
+function saveTextToLibrary(fileName, content){
+  // 同じファイル名・同じ本文なら既存の項目を更新
+  const hash = hashText(content);
+  return listLibraryTexts().then(list=>{
+    const existing = list.find(item=>item.fileName === fileName && item.hash === hash);
+    if(existing) return existing.id;
+    const now = Date.now();
+    const record = {
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      title: fileName.replace(/\.[^.]+$/, '') || fileName,
+      fileName,
+      size: new Blob([content]).size,
+      content,
+      hash,
+      addedAt: now,
+      lastPracticedAt: null,
+    };
+    return libraryRequest('readwrite', store=>store.put(record)).then(()=>record.id);
+  });
+}
+function updateLibraryText(id, patch){
+  return getLibraryText(id).then(record=>{
+    if(!record) return null;
+    const next = Object.assign({}, record, patch);
+    return libraryRequest('readwrite', store=>store.put(next)).then(()=>next);
+  });
+}
+function touchLibraryText(id){
+  updateLibraryText(id, { lastPracticedAt: Date.now() }).catch(err=>console.error(err));
+}
+function deleteLibraryText(id){
+  return libraryRequest('readwrite', store=>store.delete(id));
+}
+function openLibraryText(id){
+  getLibraryText(id).then(record=>{
+    if(!record) return;
+    const base = record.fileName.replace(/\.[^.]+$/, '') || 'Text';
+    const blocks = parseCompiledText(record.content, base);
+    closeAllPanels();
+    applyTextDataset(record.fileName, blocks, record.id);
+    setFileStatus(record.fileName);
+  }).catch(err=>{
+    console.error(err);
+    showStatusMessage('ライブラリからの読み込みに失敗しました。');
+  });
+}
+function formatBytes(n){
+  if(n < 1024) return `${n} B`;
+  if(n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+function renderLibraryPanel(){
+  if(!libraryList) return;
+  listLibraryTexts().then(list=>{
+    if(!list.length){
+      libraryList.innerHTML = '<p class="panel-empty">保存されたテキストはありません。「Load Texts」で読み込むと自動で追加されます。</p>';
+      return;
+    }
+    const rows = list
+      // 最近練習した順（未練習のものは追加日時で並べる）
+      .sort((a,b)=>(b.lastPracticedAt || b.addedAt || 0) - (a.lastPracticedAt || a.addedAt || 0))
+      .map(item=>`<tr>
+        <td><strong class="library-title">${escapeHTML(item.title)}</strong><div class="muted">${escapeHTML(item.fileName)}</div></td>
+        <td>${formatBytes(item.size || 0)}</td>
+        <td>${escapeHTML(item.lastPracticedAt ? formatHistoryDate(new Date(item.lastPracticedAt).toISOString()) : '-')}</td>
+        <td class="row-actions">
+          <button type="button" class="btn btn-small" data-open="${escapeHTML(item.id)}">Open</button>
+          <button type="button" class="btn btn-small" data-rename="${escapeHTML(item.id)}">Rename</button>
+          <button type="button" class="btn btn-small" data-delete="${escapeHTML(item.id)}" title="ライブラリから削除">✕</button>
+        </td>
+      </tr>`).join('');
+    libraryList.innerHTML = `<table class="data-table"><thead><tr><th>Title</th><th>Size</th><th>Last practiced</th><th></th></tr></thead><tbody>${rows}</tbody></table>`;
+  }).catch(err=>{
+    console.error(err);
+    libraryList.innerHTML = '<p class="panel-empty">ライブラリを開けませんでした（IndexedDB が利用できません）。</p>';
+  });
+}
+function onLibraryListClick(e){
+  const openBtn = e.target.closest('[data-open]');
+  if(openBtn) return openLibraryText(openBtn.dataset.open);
+  const renameBtn = e.target.closest('[data-rename]');
+  if(renameBtn) return startLibraryRename(renameBtn.dataset.rename, renameBtn.closest('tr'));
+  const delBtn = e.target.closest('[data-delete]');
+  if(delBtn){
+    if(!confirmClick(delBtn)) return;
+    const id = delBtn.dataset.delete;
+    deleteLibraryText(id).then(()=>{
+      if(currentLibraryId === id) currentLibraryId = null;
+      renderLibraryPanel();
+    }).catch(err=>{
+      console.error(err);
+      showPanelMessage(libraryPanel, '削除できませんでした。');
+    });
+  }
+}
+function startLibraryRename(id, row){
+  // タイトルをその場で入力欄に置き換える（Enter / フォーカスを外すと保存、Esc で取り消し）
+  const titleEl = row && row.querySelector('.library-title');
+  if(!titleEl) return;
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'rename-input';
+  input.value = titleEl.textContent;
+  input.setAttribute('aria-label', '新しいタイトル');
+  titleEl.replaceWith(input);
+  input.focus();
+  input.select();
+  let done = false;
+  const finish = (save)=>{
+    if(done) return;
+    done = true;
+    const title = input.value.trim();
+    if(!save || !title) return renderLibraryPanel();
+    updateLibraryText(id, { title }).then(renderLibraryPanel).catch(err=>{
+      console.error(err);
+      showPanelMessage(libraryPanel, '名前を変更できませんでした。');
+      renderLibraryPanel();
+    });
+  };
+  input.addEventListener('keydown', (e)=>{
+    if(e.key === 'Enter'){ e.preventDefault(); finish(true); }
+    // Esc でパネルごと閉じないようにする
+    else if(e.key === 'Escape'){ e.stopPropagation(); finish(false); }
+  });
+  input.addEventListener('blur', ()=> finish(true));
+}
+
+// ===== セクション選択 =====
+// `## 見出し` で区切られた教材のセクションを一覧し、選んだものだけを（必要ならシャッフルして）練習する。
+let sectionSelection = [];   // 選択中のセクション番号（lastTextDataset.blocks の添字）
+let sectionShuffle = false;
+let sectionLoop = false;     // 完了後に同じセクションを繰り返す
+
+function renderSectionPanel(){
+  if(!sectionList) return;
+  const blocks = lastTextDataset ? lastTextDataset.blocks : [];
+  if(!blocks.length){
+    sectionList.innerHTML = '<p class="panel-empty">テキストが読み込まれていません。</p>';
+    return;
+  }
+  const selected = new Set(sectionSelection);
+  sectionList.innerHTML = `<ul class="section-list">${blocks.map((block, i)=>`<li>
+      <label><input type="checkbox" data-section="${i}"${selected.has(i) ? ' checked' : ''} />
+        <span class="section-heading">${escapeHTML(block.heading)}</span>
+        <span class="muted">${wordsFromText(block.text).length} words</span></label>
+    </li>`).join('')}</ul>`;
+  if(sectionShuffleToggle) sectionShuffleToggle.checked = sectionShuffle;
+  if(sectionLoopToggle) sectionLoopToggle.checked = sectionLoop;
+}
+function checkedSections(){
+  if(!sectionList) return [];
+  return Array.from(sectionList.querySelectorAll('[data-section]'))
+    .filter(el=>el.checked)
+    .map(el=>Number(el.dataset.section));
+}
+function setAllSections(checked){
+  if(!sectionList) return;
+  sectionList.querySelectorAll('[data-section]').forEach(el=>{ el.checked = checked; });
+}
+function practiceSections(){
+  if(!lastTextDataset) return;
+  const picked = checkedSections();
+  sectionShuffle = Boolean(sectionShuffleToggle && sectionShuffleToggle.checked);
+  sectionLoop = Boolean(sectionLoopToggle && sectionLoopToggle.checked);
+  // 何も選ばなければ全体。全体でも明示的に選択として持ち、Loop の判定に使う
+  sectionSelection = picked.length ? picked : lastTextDataset.blocks.map((_, i)=>i);
+  closeAllPanels();
+  if(practiceMode !== 'text') setPracticeMode('text', { apply: false });
+  applySectionSelection();
+}
+function applySectionSelection(){
+  if(!lastTextDataset) return;
+  const { fileName, blocks } = lastTextDataset;
+  let chosen = sectionSelection.length ? sectionSelection.map(i=>blocks[i]).filter(Boolean) : blocks.slice();
+  if(sectionShuffle) chosen = shuffleInPlace(chosen.slice());
+  currentFileName = fileName;
+  applyDataset(chosen);
+  setFileStatus(fileName);
+}
+
+// ===== テストモード（タイム / 語数） =====
+// testMode: { kind: ''（オフ）| 'time' | 'words', value: 秒数 or 語数 }
+// タイムテストは最初の打鍵でカウントダウンを始め、0 で入力を止めて結果を表示する。
+// 語は教材（繰り返し）または組み込み単語リストから途切れないよう補充する。
+// 語数テストは教材から N 語を取り出し、打ち終えたら結果を表示する（語数が一定なので記録を比較しやすい）。
+const TEST_OPTIONS = ['', 'time:15', 'time:30', 'time:60', 'time:120', 'words:10', 'words:25', 'words:50', 'words:100'];
+const TEST_SOURCES = ['text', 'words'];
+const WORD_SUPPLY_MARGIN = 60;  // 残りの語数がこれを下回ったら補充
+let testMode = { kind: '', value: 0 };
+let testSource = 'text';        // 'text'（現在の教材） | 'words'（組み込み単語リスト）
+let testTimer = 0;
+
+function parseTestOption(option){
+  const [kind, value] = String(option || '').split(':');
+  if(!TEST_OPTIONS.includes(option) || !kind) return { kind: '', value: 0 };
+  return { kind, value: Number(value) || 0 };
+}
+function testLabel(){
+  if(testMode.kind === 'time') return `${testMode.value}s`;
+  if(testMode.kind === 'words') return `${testMode.value} words`;
+  return '';
+}
+function sampleTestWords(words, count){
+  // 連続した N 語を無作為な位置から（足りなければ先頭へ折り返す）
+  if(!words.length) return [];
+  const start = Math.floor(Math.random() * words.length);
+  const picked = [];
+  for(let i=0;i<count;i++) picked.push(words[(start + i) % words.length]);
+  return picked;
+}
+function testDurationMs(){
+  return testMode.kind === 'time' ? testMode.value * 1000 : 0;
+}
+function testRemainingMs(){
+  if(testMode.kind !== 'time') return null;
+  return Math.max(0, testDurationMs() - elapsedTypingMs());
+}
+function startTestCountdown(){
+  clearTimeout(testTimer);
+  if(testMode.kind !== 'time' || replayState) return;
+  testTimer = setTimeout(endTimedTest, testRemainingMs());
+}
+function endTimedTest(){
+  if(typingStartTime == null || typingEndTime != null) return;
+  typingEndTime = typingStartTime + testDurationMs();
+  commitLineMarks();
+  recordLineBreak();
+  // 以降の入力を受け付けないよう本文を空にする
+  wordsOffset = sourceWords.length;
+  flatText = "";
+  cursor = 0;
+  marks = [];
+  historyHTML = "";
+  nextPreview1 = "";
+  nextPreview2 = "";
+  updateStatsHud();
+  const record = finishSession();
+  const next = afterSessionComplete(record);
+  if(!continueAction) continueAction = restartPractice;
+  showResultScreen(`Time! ${testLabel()}`, record, next || 'Spaceでもう一度');
+}
+function showResultScreen(title, record, footer){
+  if(!textEl) return;
+  const lines = [`<div class="line status">${escapeHTML(title)}</div>`];
+  if(record){
+    lines.push(`<div class="line result">${Number(record.wpm).toFixed(1)} WPM · raw ${Number(record.rawWpm).toFixed(1)} · ACC ${Number(record.accuracy).toFixed(1)}% · ERR ${record.errors} (修正 ${record.corrected || 0} / 未修正 ${record.uncorrected || 0})</div>`);
+  }
+  if(footer) lines.push(`<div class="line next-line">${escapeHTML(footer)}</div>`);
+  textEl.innerHTML = lines.join('');
+  clearKeyHints();
+}
+function supplyWords(){
+  if(testSource === 'words') return shuffleInPlace(COMMON_WORDS.slice());
+  const words = [];
+  currentBlocks.forEach(block=>words.push(...wordsFromText(block.text)));
+  return words;
+}
+function ensureWordSupply(){
+  // タイムテスト中は語が尽きないよう末尾に補充
+  if(testMode.kind !== 'time' || typingEndTime != null || replayState) return;
+  let guard = 0;
+  while(sourceWords.length - wordsOffset < WORD_SUPPLY_MARGIN && guard++ < 20){
+    const more = supplyWords();
+    if(!more.length) break;
+    sourceWords.push(...more);
+  }
+}
+function restartPractice(){
+  // 同じ条件でもう一度（テスト設定の変更時・テスト終了後）
+  if(testMode.kind && testSource === 'words') return applyGeneratedWords(shuffleInPlace(COMMON_WORDS.slice()), 'Word list');
+  if(practiceMode === 'lesson') return startLesson();
+  if(practiceMode === 'drill') return startDrill();
+  if(practiceMode === 'adaptive') return startAdaptive();
+  // Word list のテストで currentBlocks が置き換わっていても、読み込んだ教材（と選択中のセクション）に戻す
+  if(lastTextDataset) return applySectionSelection();
+  if(currentBlocks.length) applyDataset(currentBlocks);
+}
+function setTestOption(option){
+  testMode = parseTestOption(option);
+  saveStored('test', TEST_OPTIONS.includes(option) ? option : '');
+  if(testSelect) testSelect.value = testMode.kind ? `${testMode.kind}:${testMode.value}` : '';
+  if(testSourceSelect) testSourceSelect.hidden = !testMode.kind;
+  restartPractice();
+}
+
+// ===== キー指定ドリル =====
+// 仮想キーボードでクリックしたキーだけを使う単語（実在語 / 疑似語）を生成する。
+const DRILL_BATCH_WORDS = 40;
+const DRILL_WORD_KINDS = ['mixed', 'real', 'pseudo'];
+let drillKeys = new Set();
+let drillPicking = false;     // true: 仮想キーのクリックを入力ではなくキー選択として扱う
+let drillWordKind = 'mixed';
+let drillRealMissing = false; // Real words を選んだが実在語がなく、疑似語で出題中
+
+function drillWordPool(){
+  // 組み込み単語＋読み込んだ教材の単語（記号を除いた小文字）
+  const pool = COMMON_WORDS.slice();
+  if(lastTextDataset){
+    lastTextDataset.blocks.forEach(block=>{
+      wordsFromText(block.text).forEach(w=>{
+        const cleaned = w.toLowerCase().replace(/^[^a-z]+|[^a-z]+$/g, '');
+        if(cleaned) pool.push(cleaned);
+      });
+    });
+  }
+  return pool;
+}
+function makeDrillWord(allowed){
+  const w = makePseudoWord(allowed);
+  if(w) return w;
+  // 英字を含まない選択（記号・数字のみ）はランダム列
+  const chars = [...allowed];
+  return Array.from({ length: 2 + Math.floor(Math.random() * 3) }, ()=>randomItem(chars)).join('');
+}
+const DRILL_OPENING_SYMBOLS = '([{<\'"';
+function attachDrillSymbol(word, symbols){
+  // 選んだ記号・数字を語の前（開き括弧・引用符）または後ろに付ける
+  const symbol = randomItem(symbols);
+  return DRILL_OPENING_SYMBOLS.includes(symbol) ? symbol + word : word + symbol;
+}
+function generateDrillWords(allowed, count, kind){
+  const real = kind === 'pseudo' ? [] : wordsUsingOnly(drillWordPool(), allowed);
+  // 英字以外のキーは語に含まれないため、英字も選ばれていれば半分の語に付けて練習に出す
+  const hasLetters = [...allowed].some(ch=>/^[a-z]$/.test(ch));
+  const symbols = hasLetters ? [...allowed].filter(ch=>!/^[a-z]$/.test(ch)) : [];
+  const words = [];
+  for(let i=0;i<count;i++){
+    const useReal = real.length && (kind === 'real' || Math.random() < 0.5);
+    const word = useReal ? randomItem(real) : makeDrillWord(allowed);
+    words.push(symbols.length && i % 2 === 0 ? attachDrillSymbol(word, symbols) : word);
+  }
+  return words;
+}
+function startDrill(){
+  if(!drillKeys.size){
+    setDrillPicking(true);
+    showStatusMessage('ドリルに使うキーを仮想キーボードでクリックして選び、Start を押してください。');
+    return;
+  }
+  setDrillPicking(false);
+  drillRealMissing = drillWordKind === 'real' && !wordsUsingOnly(drillWordPool(), drillKeys).length;
+  const label = `Drill: ${[...drillKeys].join('')}`;
+  applyGeneratedWords(generateDrillWords(drillKeys, DRILL_BATCH_WORDS, drillWordKind), label);
+  updateModeInfo();
+}
+function setDrillPicking(on){
+  drillPicking = Boolean(on);
+  if(keyboardEl) keyboardEl.classList.toggle('picking', drillPicking);
+  if(drillPickBtn) drillPickBtn.classList.toggle('active', drillPicking);
+  updatePickedKeys();
+  updateModeInfo();
+}
+function toggleDrillKey(code){
+  if(drillKeys.has(code)) drillKeys.delete(code); else drillKeys.add(code);
+  saveStored('drillKeys', [...drillKeys]);
+  updatePickedKeys();
+  updateModeInfo();
+}
+function clearDrillKeys(){
+  drillKeys = new Set();
+  saveStored('drillKeys', []);
+  updatePickedKeys();
+  updateModeInfo();
+}
+function remapDrillKeys(from, to){
+  // 選んだキーは物理位置で持ち越す（配列を切り替えたら同じ位置の新しい配列の文字に置き換える）
+  if(!drillKeys.size || from === to) return;
+  const next = new Set();
+  drillKeys.forEach(code=>{
+    const key = from.keys[code];
+    const moved = key && key.physical ? to.physicalMap[key.physical] : null;
+    if(moved) next.add(moved.code);
+  });
+  drillKeys = next;
+  saveStored('drillKeys', [...drillKeys]);
+  updateModeInfo();
+}
+function updatePickedKeys(){
+  if(!keyboardEl) return;
+  layoutCharKeys().forEach(key=>{
+    const el = getKeyEl(key.code);
+    if(el) el.classList.toggle('picked', practiceMode === 'drill' && drillKeys.has(key.code));
+  });
+}
+
+// ===== Adaptive（弱点重点）=====
+// 文字・バイグラムのミス率（少数サンプルは控えめに見積もる）で単語に重みを付け、
+// 読み込んだ教材＋組み込み単語から重み付きで抽選する。
+const ADAPTIVE_BATCH_WORDS = 40;
+const ADAPTIVE_FOCUS_COUNT = 5;
+const ADAPTIVE_PRIOR = 5;        // ミス率の平滑化に使う仮想サンプル数
+const ADAPTIVE_MIN_SAMPLES = 3;
+
+function smoothedMissRate(misses, total){
+  return misses / (total + ADAPTIVE_PRIOR);
+}
+function letterWeakness(){
+  // 英字キーのミス率（keyStats は基底コード＝英字小文字で集計）
+  const map = {};
+  Object.entries(keyStats).forEach(([code, st])=>{
+    if(/^[a-z]$/.test(code)) map[code] = smoothedMissRate(st.misses, st.hits + st.misses);
+  });
+  return map;
+}
+function bigramWeakness(){
+  const map = {};
+  Object.entries(ngramStats).forEach(([gram, st])=>{
+    if(gram.length === 2 && /^[a-z]+$/.test(gram)) map[gram] = smoothedMissRate(st.misses, st.count);
+  });
+  return map;
+}
+function weakestTargets(limit){
+  // 文字とバイグラムをまとめてミス率順に
+  const targets = [];
+  Object.entries(keyStats).forEach(([code, st])=>{
+    if(/^[a-z]$/.test(code) && st.misses && st.hits + st.misses >= ADAPTIVE_MIN_SAMPLES){
+      targets.push({ gram: code, rate: smoothedMissRate(st.misses, st.hits + st.misses) });
+    }
+  });
+  Object.entries(ngramStats).forEach(([gram, st])=>{
+    if(gram.length === 2 && /^[a-z]+$/.test(gram) && st.misses && st.count >= ADAPTIVE_MIN_SAMPLES){
+      targets.push({ gram, rate: smoothedMissRate(st.misses, st.count) });
+    }
+  });
+  return targets.sort((a,b)=>b.rate - a.rate).slice(0, limit);
+}
+function weightedPick(items, weights, total){
+  let r = Math.random() * total;
+  for(let i=0;i<items.length;i++){
+    r -= weights[i];
+    if(r <= 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+function generateAdaptiveWords(count){
+  const letters = letterWeakness();
+  const bigrams = bigramWeakness();
+  const pool = [...new Set(drillWordPool().filter(w=>/^[a-z]+$/.test(w)))];
+  const weights = pool.map(word=>{
+    let score = 0;
+    for(let i=0;i<word.length;i++){
+      score += letters[word[i]] || 0;
+      if(i) score += (bigrams[word.slice(i - 1, i + 1)] || 0) * 2;
+    }
+    // 重みの差を強調（弱点を含む語ほど出やすく）
+    return Math.pow(1 + score * 10, 2);
+  });
+  const total = weights.reduce((a,b)=>a+b, 0);
+  const words = [];
+  for(let i=0;i<count;i++) words.push(weightedPick(pool, weights, total));
+  return words;
+}
+function startAdaptive(){
+  applyGeneratedWords(generateAdaptiveWords(ADAPTIVE_BATCH_WORDS), 'Adaptive');
+  updateModeInfo();
+}
+
+// ===== キー別統計・ヒートマップ =====
+// keyStats: 期待キー（基底コード）→ { hits, misses, latencySum, latencyCount }
+// ngramStats: 文字の並び（2・3文字）→ { count, misses, time, timed }。直前の文字＋期待文字で集計
+//             time / timed は並びを打つのにかかった時間の合計とその回数
+// セッションをまたいで蓄積し、仮想キーボード上のヒートマップや Adaptive モードで使う。
+const KEY_LATENCY_MAX_MS = 3000; // これより長い間隔は「考え中」とみなし平均に含めない
+const HEATMAP_MIN_SAMPLES = 5;
+const HEATMAP_MODES = ['off', 'miss', 'speed'];
+const HEATMAP_LABELS = { off: 'Heatmap: Off', miss: 'Heatmap: Miss', speed: 'Heatmap: Speed' };
+let keyStats = {};
+let ngramStats = {};
+let ngramPrevInterval = null; // 直前の正解打鍵の間隔（トリグラムの所要時間用）
+let ngramAfterMiss = false;   // 直前がミス（次の正解は修正を含むため時間を使わない）
+let keyStatsSaveTimer = 0;
+
+function resetKeyTiming(){
+  // 行送りやスペースでのスキップは recordKeyStat を通らないので、次の打鍵の間隔を測らない
+  lastKeyTime = null;
+  ngramPrevInterval = null;
+  ngramAfterMiss = false;
+}
+function recordKeyStat(expected, ok){
+  // 戻り値: 直前の打鍵からの間隔（ms）。計測対象外なら null
+  const now = nowMs();
+  const raw = lastKeyTime == null ? null : now - lastKeyTime;
+  const latency = raw != null && raw <= KEY_LATENCY_MAX_MS ? raw : null;
+  lastKeyTime = now;
+  const map = computeKeyForChar(expected);
+  const code = map ? map.code : expected;
+  const stat = keyStats[code] || (keyStats[code] = { hits: 0, misses: 0, latencySum: 0, latencyCount: 0 });
+  if(ok){
+    stat.hits++;
+    if(latency != null){
+      stat.latencySum += latency;
+      stat.latencyCount++;
+    }
+  }else{
+    stat.misses++;
+  }
+  scheduleKeyStatsSave();
+  if(heatmapMode !== 'off') updateHeatmap();
+  return latency;
+}
+function addNgramSample(gram, ok, time){
+  const stat = ngramStats[gram] || (ngramStats[gram] = { count: 0, misses: 0, time: 0, timed: 0 });
+  stat.count++;
+  if(!ok) stat.misses++;
+  if(time != null){
+    stat.time = (stat.time || 0) + time;
+    stat.timed = (stat.timed || 0) + 1;
+  }
+}
+function recordNgramStat(context, expected, ok, latency){
+  // context: 期待文字の直前2文字。単語内の並びのみ（スペースをまたぐ並びは除外）
+  // 時間は「ミスを挟まない連続した正解打鍵」の間隔だけを使う
+  if(expected === ' '){
+    ngramPrevInterval = null;
+    return;
+  }
+  const interval = ok && !ngramAfterMiss ? latency : null;
+  const prev = context.slice(-1);
+  if(prev && prev !== ' '){
+    addNgramSample((prev + expected).toLowerCase(), ok, interval);
+    const prev2 = context.length === 2 ? context[0] : '';
+    if(prev2 && prev2 !== ' '){
+      const time = interval != null && ngramPrevInterval != null ? ngramPrevInterval + interval : null;
+      addNgramSample((context + expected).toLowerCase(), ok, time);
+    }
+  }
+  ngramAfterMiss = !ok;
+  ngramPrevInterval = ok ? interval : null;
+}
+function saveKeyStats(){
+  saveStored('keyStats', keyStats);
+  saveStored('ngramStats', ngramStats);
+}
+function scheduleKeyStatsSave(){
+  clearTimeout(keyStatsSaveTimer);
+  keyStatsSaveTimer = setTimeout(saveKeyStats, 1000);
+}
+function keyMissRate(stat){
+  const total = stat.hits + stat.misses;
+  return total ? stat.misses / total : 0;
+}
+function keyMeanLatency(stat){
+  return stat.latencyCount ? stat.latencySum / stat.latencyCount : 0;
+}
+function heatColor(t){
+  // 0 → キー既定色 / 1 → 赤（--tile-wrong 相当）
+  const from = [211, 214, 218], to = [176, 0, 32];
+  const mix = from.map((c,i)=>Math.round(c + (to[i] - c) * clamp(t, 0, 1)));
+  return `rgb(${mix.join(',')})`;
+}
+function updateHeatmap(){
+  if(!keyboardEl) return;
+  keyboardEl.classList.toggle('heatmap', heatmapMode !== 'off');
+  const els = Array.from(keyboardEl.querySelectorAll('.key'));
+  els.forEach(el=>{
+    el.classList.remove('heat');
+    el.style.removeProperty('--heat-bg');
+    el.style.removeProperty('--heat-fg');
+    // 集計を書き足す前の title（data-heat-base-title）に戻す
+    if('heatBaseTitle' in el.dataset){
+      if(el.dataset.heatBaseTitle) el.title = el.dataset.heatBaseTitle;
+      else el.removeAttribute('title');
+      delete el.dataset.heatBaseTitle;
+    }
+  });
+  if(heatmapMode === 'off') return;
+
+  const entries = Object.entries(keyStats).filter(([,st])=>st.hits + st.misses >= HEATMAP_MIN_SAMPLES);
+  const value = (st)=> heatmapMode === 'miss' ? keyMissRate(st) : keyMeanLatency(st);
+  const values = entries.map(([,st])=>value(st)).filter(v=>v > 0);
+  const max = values.length ? Math.max(...values) : 0;
+  const min = heatmapMode === 'speed' && values.length ? Math.min(...values) : 0;
+  entries.forEach(([code, st])=>{
+    const el = getKeyEl(code);
+    if(!el) return;
+    const v = value(st);
+    const t = max > min ? (v - min) / (max - min) : 0;
+    el.classList.add('heat');
+    const heat = v > 0 ? t : 0;
+    el.style.setProperty('--heat-bg', heatColor(heat));
+    el.style.setProperty('--heat-fg', heat > 0.5 ? '#fff' : 'var(--key-fg)');
+    const total = st.hits + st.misses;
+    const summary = `${total} keystrokes / miss ${(keyMissRate(st) * 100).toFixed(1)}% / ${Math.round(keyMeanLatency(st))}ms`;
+    const base = el.getAttribute('title') || '';
+    el.dataset.heatBaseTitle = base;
+    el.title = base ? `${base}\n${summary}` : summary;
+  });
+}
+function setHeatmapMode(mode){
+  heatmapMode = HEATMAP_MODES.includes(mode) ? mode : 'off';
+  saveStored('heatmap', heatmapMode);
+  if(heatmapBtn) heatmapBtn.textContent = HEATMAP_LABELS[heatmapMode];
+  updateHeatmap();
+}
+function cycleHeatmapMode(){
+  const i = HEATMAP_MODES.indexOf(heatmapMode);
+  setHeatmapMode(HEATMAP_MODES[(i + 1) % HEATMAP_MODES.length]);
+}
+
+// ===== 途中再開 =====
+// 入力途中の状態（教材・語位置・marks・経過時間）を教材ごとに保存し、
+// 次回読み込み時に「Resume where you left off」として提示する。
+// 対象は Text モードで読み込んだ教材を練習しているとき（生成課題・テスト中は除く）。
+// 本文は保存せず、ファイル名と本文のハッシュから読み込み済みの教材またはライブラリを引き直す。
+const RESUME_LIMIT = 5;
+let resumeSaveTimer = 0;
+let resumeCandidate = null;  // バナーで提示中のスナップショット
+let resumeStartupChecked = false;
+
+function datasetKey(){
+  return `${currentFileName || ''}#${currentDatasetHash}`;
+}
+function isLoadedTextPractice(){
+  // 読み込んだ教材（またはそのセクション）を Text モードで練習中か
+  return practiceMode === 'text' && !testMode.kind
+    && Boolean(lastTextDataset) && currentFileName === lastTextDataset.fileName;
+}
+function currentSectionIndexes(){
+  // currentBlocks が lastTextDataset.blocks のどの順番か（シャッフル後の並びも含む）
+  const used = new Set();
+  return currentBlocks.map(block=>{
+    const i = lastTextDataset.blocks.findIndex((b, j)=>!used.has(j) && b.heading === block.heading && b.text === block.text);
+    used.add(i);
+    return i;
+  });
+}
+function loadResumeSnapshots(){
+  const map = loadStored('resume', {});
+  return map && typeof map === 'object' ? map : {};
+}
+function saveResumeSnapshot(){
+  clearTimeout(resumeSaveTimer);
+  // 未開始・完了済み・読み込んだ教材以外は保存しない
+  if(typingStartTime == null || typingEndTime != null || !currentBlocks.length || !isLoadedTextPractice()) return;
+  const sections = currentSectionIndexes();
+  if(sections.includes(-1)) return;
+  const key = datasetKey();
+  const map = loadResumeSnapshots();
+  map[key] = {
+    key,
+    fileName: currentFileName,
+    hash: currentDatasetHash,
+    sourceHash: blocksHash(lastTextDataset.blocks),
+    sections,
+    wordsOffset,
+    flatText,
+    cursor,
+    marks: marks.slice(),
+    elapsedMs: Math.round(elapsedTypingMs()),
+    stats: sessionStats,
+    progress: sourceWords.length ? wordsOffset / sourceWords.length : 0,
+    savedAt: Date.now(),
+  };
+  const kept = Object.values(map).sort((a,b)=>b.savedAt - a.savedAt).slice(0, RESUME_LIMIT);
+  saveStored('resume', Object.fromEntries(kept.map(snap=>[snap.key, snap])));
+}
+function scheduleResumeSave(){
+  clearTimeout(resumeSaveTimer);
+  if(replayState) return;
+  resumeSaveTimer = setTimeout(saveResumeSnapshot, 800);
+}
+function deleteResumeSnapshot(key){
+  const map = loadResumeSnapshots();
+  if(!(key in map)) return;
+  delete map[key];
+  saveStored('resume', map);
+}
+function offerResume(){
+  // 同じ教材のスナップショットを優先。起動直後に限り、別教材の最新分も提示する
+  if(!isLoadedTextPractice()){
+    hideResumeBanner();
+    return;
+  }
+  const map = loadResumeSnapshots();
+  let snap = map[datasetKey()] || null;
+  if(!snap && !resumeStartupChecked){
+    snap = Object.values(map).sort((a,b)=>b.savedAt - a.savedAt)[0] || null;
+  }
+  resumeStartupChecked = true;
+  if(!snap || !resumeBanner){
+    hideResumeBanner();
     return;
   }
+  resumeCandidate = snap;
+  if(resumeLabel){
+    const percent = Math.round((snap.progress || 0) * 100);
+    resumeLabel.textContent = `Resume where you left off — ${snap.fileName || 'Text'}（${percent}% / ${formatDuration(snap.elapsedMs)}）`;
+  }
+  resumeBanner.hidden = false;
+}
+function hideResumeBanner(){
+  resumeCandidate = null;
+  if(resumeBanner) resumeBanner.hidden = true;
+}
+function findResumeSource(snap){
+  // スナップショットの教材を読み込み済みの教材 → ライブラリの順に探す。戻り値: { fileName, blocks, libraryId } または null
+  const matches = (fileName, blocks)=> fileName === snap.fileName && blocksHash(blocks) === snap.sourceHash;
+  if(lastTextDataset && matches(lastTextDataset.fileName, lastTextDataset.blocks)){
+    return Promise.resolve({ fileName: lastTextDataset.fileName, blocks: lastTextDataset.blocks, libraryId: currentLibraryId });
+  }
+  return listLibraryTexts().then(list=>{
+    for(const item of list){
+      if(item.fileName !== snap.fileName) continue;
+      const blocks = parseCompiledText(item.content, item.fileName.replace(/\.[^.]+$/, '') || 'Text');
+      if(matches(item.fileName, blocks)) return { fileName: item.fileName, blocks, libraryId: item.id };
+    }
+    return null;
+  });
+}
+function resumeFromSnapshot(snap){
+  if(!snap || !Array.isArray(snap.sections)) return;
+  findResumeSource(snap).then(source=>{
+    const chosen = source ? snap.sections.map(i=>source.blocks[i]).filter(Boolean) : [];
+    if(!source || chosen.length !== snap.sections.length || blocksHash(chosen) !== snap.hash){
+      deleteResumeSnapshot(snap.key);
+      hideResumeBanner();
+      showStatusMessage('元のテキストが見つからないため再開できません。');
+      return;
+    }
+    // 再開は Text モードで（レッスン中などに起動していても切り替える）
+    lastTextDataset = { fileName: source.fileName, blocks: source.blocks };
+    currentLibraryId = source.libraryId;
+    sectionSelection = snap.sections.length === source.blocks.length ? [] : snap.sections.slice();
+    if(practiceMode !== 'text') setPracticeMode('text', { apply: false });
+    currentFileName = source.fileName;
+    applyDataset(chosen);
+    hideResumeBanner();
+    setFileStatus(currentFileName);
+    if(snap.wordsOffset >= sourceWords.length) return;
+    // 同じ行を復元してから画面幅に合わせ直す（marks は layoutThreeLines で引き継がれる）
+    wordsOffset = snap.wordsOffset;
+    flatText = snap.flatText || '';
+    cursor = clamp(snap.cursor || 0, 0, flatText.length);
+    marks = Array.isArray(snap.marks) ? snap.marks.slice() : [];
+    sessionStats = Object.assign(createSessionStats(), snap.stats || {});
+    missedPositions = new Set(marks.map((m, i)=>m === -1 ? i : -1).filter(i=>i >= 0));
+    resumedElapsedMs = snap.elapsedMs || 0;
+    layoutThreeLines();
+    updateStatsHud();
+  }).catch(err=>{
+    console.error(err);
+    showStatusMessage('途中再開に失敗しました。');
+  });
+}
+
+// ===== 練習履歴 =====
+// 完了したセッションを localStorage に保存し、History パネルで一覧・並べ替え・削除する。
+const SESSION_HISTORY_LIMIT = 1000;
+const HISTORY_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'fileName', label: 'Text' },
+  { key: 'durationMs', label: 'Time' },
+  { key: 'wpm', label: 'WPM' },
+  { key: 'accuracy', label: 'ACC' },
+  { key: 'errors', label: 'ERR' },
+];
+let historySort = { key: 'date', dir: -1 };
+
+function loadSessionHistory(){
+  const list = loadStored('history', []);
+  return Array.isArray(list) ? list : [];
+}
+function saveSessionHistory(list){
+  saveStored('history', list.slice(-SESSION_HISTORY_LIMIT));
+}
+function addSessionToHistory(record){
+  const list = loadSessionHistory();
+  list.push(record);
+  saveSessionHistory(list);
+  if(isPanelOpen(historyPanel)) renderHistoryPanel();
+  if(isPanelOpen(progressPanel)) renderProgressPanel();
+}
+function deleteSessionFromHistory(id){
+  saveSessionHistory(loadSessionHistory().filter(r=>r.id !== id));
+  renderHistoryPanel();
+}
+function formatHistoryDate(iso){
+  const d = new Date(iso);
+  if(isNaN(d.getTime())) return '';
+  const pad = (n)=>String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth()+1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+function formatKeyErrors(keyErrors){
+  // ミスの多いキー上位3件を「e×3」形式で
+  return Object.entries(keyErrors || {})
+    .sort((a,b)=>b[1]-a[1])
+    .slice(0, 3)
+    .map(([k,n])=>`${k===' ' || k==='space' ? '␣' : k}×${n}`)
+    .join(' ');
+}
+function sortedSessionHistory(){
+  const { key, dir } = historySort;
+  return loadSessionHistory().slice().sort((a,b)=>{
+    const va = a[key], vb = b[key];
+    if(typeof va === 'number' && typeof vb === 'number') return (va - vb) * dir;
+    return String(va || '').localeCompare(String(vb || '')) * dir;
+  });
+}
+function renderHistoryPanel(){
+  if(!historyList) return;
+  const list = sortedSessionHistory();
+  if(!list.length){
+    historyList.innerHTML = '<p class="panel-empty">まだ完了した練習はありません。</p>';
+    return;
+  }
+  const head = HISTORY_COLUMNS.map(col=>{
+    const mark = historySort.key === col.key ? (historySort.dir > 0 ? ' ▲' : ' ▼') : '';
+    return `<th><button type="button" class="sort" data-sort="${col.key}">${col.label}${mark}</button></th>`;
+  }).join('');
+  const rows = list.map(r=>`<tr>
+      <td>${escapeHTML(formatHistoryDate(r.date))}</td>
+      <td>${escapeHTML(r.fileName || '-')}</td>
+      <td>${escapeHTML(formatDuration(r.durationMs))}</td>
+      <td>${Number(r.wpm || 0).toFixed(1)}</td>
+      <td>${Number(r.accuracy || 0).toFixed(1)}%</td>
+      <td>${Number(r.errors || 0)}</td>
+      <td class="muted">${escapeHTML(formatKeyErrors(r.keyErrors))}</td>
+      <td><button type="button" class="btn btn-small" data-delete="${escapeHTML(r.id)}" title="この記録を削除">✕</button></td>
+    </tr>`).join('');
+  historyList.innerHTML = `<table class="data-table"><thead><tr>${head}<th>Missed keys</th><th></th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+function onHistoryListClick(e){
+  const sortBtn = e.target.closest('[data-sort]');
+  if(sortBtn){
+    const key = sortBtn.dataset.sort;
+    historySort = { key, dir: historySort.key === key ? -historySort.dir : -1 };
+    renderHistoryPanel();
+    return;
+  }
+  const delBtn = e.target.closest('[data-delete]');
+  if(delBtn) deleteSessionFromHistory(delBtn.dataset.delete);
+}
+function clearSessionHistory(){
+  if(!loadSessionHistory().length) return;
+  if(historyClearBtn && !confirmClick(historyClearBtn, 'Delete all?')) return;
+  saveSessionHistory([]);
+  renderHistoryPanel();
+}
+
+// ===== エクスポート / インポート =====
+// 履歴とキー別・n-gram の集計を CSV / JSON で保存し、JSON の履歴を別の環境の履歴へ取り込む。
+// ファイルは downloadFile と同じ a[download] で保存する。取り込むのは履歴だけ（集計は二重に数えないよう対象外）。
+const EXPORT_FORMAT = 'dvorak-typing-export';
+const EXPORT_VERSION = 1;
+const HISTORY_CSV_COLUMNS = ['id', 'date', 'fileName', 'layout', 'test', 'durationMs', 'wpm', 'rawWpm', 'accuracy', 'errors', 'corrected', 'uncorrected', 'chars', 'keyErrors'];
+
+function csvCell(value){
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+function toCsv(rows){
+  return rows.map(row=>row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+function downloadText(content, type, filename){
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  downloadFile(url, filename);
+  // クリック直後に解放するとダウンロードが始まらないブラウザがあるため少し待つ
+  setTimeout(()=>URL.revokeObjectURL(url), 1000);
+}
+function exportFileName(name, ext){
+  const d = new Date();
+  const pad = (n)=>String(n).padStart(2, '0');
+  return `dvorak-typing-${name}-${d.getFullYear()}${pad(d.getMonth()+1)}${pad(d.getDate())}.${ext}`;
+}
+function exportHistoryCsv(){
+  const rows = loadSessionHistory().map(r=>HISTORY_CSV_COLUMNS.map(col=>{
+    if(col === 'keyErrors') return Object.entries(r.keyErrors || {}).map(([k,n])=>`${k}:${n}`).join(' ');
+    return r[col];
+  }));
+  // Excel で文字化けしないよう BOM を付ける
+  downloadText('\uFEFF' + toCsv([HISTORY_CSV_COLUMNS].concat(rows)), 'text/csv', exportFileName('history', 'csv'));
+}
+function exportStatsCsv(){
+  // キー別と bigram / trigram を1つの表に（type 列で区別）
+  const rows = [['type', 'keys', 'count', 'misses', 'missRate', 'meanMs']];
+  Object.entries(keyStats).forEach(([code, st])=>{
+    const mean = keyMeanLatency(st);
+    rows.push(['key', code, st.hits + st.misses, st.misses, keyMissRate(st).toFixed(4), mean ? Math.round(mean) : '']);
+  });
+  Object.entries(ngramStats).forEach(([gram, st])=>{
+    rows.push([gram.length === 3 ? 'trigram' : 'bigram', gram, st.count, st.misses,
+      (st.count ? st.misses / st.count : 0).toFixed(4), st.timed ? Math.round(st.time / st.timed) : '']);
+  });
+  downloadText('\uFEFF' + toCsv(rows), 'text/csv', exportFileName('stats', 'csv'));
+}
+function exportJson(){
+  const data = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    history: loadSessionHistory(),
+    keyStats,
+    ngramStats,
+  };
+  downloadText(JSON.stringify(data, null, 2), 'application/json', exportFileName('export', 'json'));
+}
+const IMPORT_NUMBER_FIELDS = ['durationMs', 'wpm', 'rawWpm', 'accuracy', 'errors', 'corrected', 'uncorrected', 'chars'];
+const IMPORT_STRING_FIELDS = ['fileName', 'layout', 'test'];
+function sanitizeSessionRecord(r){
+  // 取り込む記録は既知の項目だけを型をそろえて写す（id は英数字・_・- のみ）
+  if(!r || typeof r !== 'object') return null;
+  if(typeof r.id !== 'string' || !/^[\w-]+$/.test(r.id) || isNaN(Date.parse(r.date))) return null;
+  const record = { id: r.id, date: new Date(Date.parse(r.date)).toISOString() };
+  IMPORT_STRING_FIELDS.forEach(key=>{ record[key] = r[key] == null ? '' : String(r[key]); });
+  IMPORT_NUMBER_FIELDS.forEach(key=>{
+    const value = Number(r[key]);
+    record[key] = Number.isFinite(value) ? value : 0;
+  });
+  const workload = sanitizeWorkload(r.workload);
+  if(workload) record.workload = workload;
+  record.keyErrors = {};
+  if(r.keyErrors && typeof r.keyErrors === 'object'){
+    Object.entries(r.keyErrors).forEach(([key, count])=>{
+      const value = Number(count);
+      if(Number.isFinite(value) && value > 0) record.keyErrors[String(key)] = value;
+    });
+  }
+  return record;
+}
+function mergeSessionHistory(records){
+  // id が同じ記録は既存を優先。id・日付が不正な記録は取り込まない
+  const list = loadSessionHistory();
+  const ids = new Set(list.map(r=>r.id));
+  let added = 0;
+  records.forEach(raw=>{
+    const r = sanitizeSessionRecord(raw);
+    if(!r || ids.has(r.id)) return;
+    ids.add(r.id);
+    list.push(r);
+    added++;
+  });
+  list.sort((a,b)=>Date.parse(a.date) - Date.parse(b.date));
+  saveSessionHistory(list);
+  return added;
+}
+function importHistoryFile(file){
+  if(!file) return;
+  const reader = new FileReader();
+  reader.onload = ()=>{
+    try{
+      const data = JSON.parse(typeof reader.result === 'string' ? reader.result : '');
+      // エクスポートした JSON か、履歴の配列そのもの
+      const records = Array.isArray(data) ? data : (data && Array.isArray(data.history) ? data.history : null);
+      if(!records) throw new Error('history が見つかりません。');
+      const added = mergeSessionHistory(records);
+      renderHistoryPanel();
+      showPanelMessage(historyPanel, `${added}件の記録を取り込みました。${records.length - added ? `（重複・不正な${records.length - added}件はスキップ）` : ''}`);
+    }catch(err){
+      console.error(err);
+      showPanelMessage(historyPanel, `履歴ファイルを読み込めませんでした。${err.message}`);
+    }
+    if(historyImportPicker) historyImportPicker.value = '';
+  };
+  reader.onerror = ()=>{
+    console.error(reader.error);
+    showPanelMessage(historyPanel, '履歴ファイルを読み込めませんでした。');
+    if(historyImportPicker) historyImportPicker.value = '';
+  };
+  reader.readAsText(file);
+}
+
+// ===== 上達グラフ =====
+// 履歴の WPM / 正確率をセッション順に canvas へ描画（移動平均つき）
+const PROGRESS_ROLLING_WINDOW = 5;
+
+function rollingAverage(values, size){
+  return values.map((_, i)=>{
+    const slice = values.slice(Math.max(0, i - size + 1), i + 1);
+    return slice.reduce((a,b)=>a+b, 0) / slice.length;
+  });
+}
+function drawProgressChart(canvas, values, opts){
+  if(!canvas) return;
+  const ctx = canvas.getContext('2d');
+  if(!ctx) return;
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || 640;
+  const height = canvas.clientHeight || 200;
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const pad = { top: 22, right: 12, bottom: 22, left: 40 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const dataMax = values.length ? Math.max(...values) : 0;
+  const dataMin = values.length ? Math.min(...values) : 0;
+  const max = opts.max != null ? opts.max : Math.max(10, Math.ceil(dataMax / 10) * 10);
+  const min = opts.min != null ? Math.min(opts.min, Math.floor(dataMin / 10) * 10) : 0;
+  const x = (i)=> pad.left + (values.length > 1 ? (i / (values.length - 1)) * plotW : plotW / 2);
+  const y = (v)=> pad.top + plotH - ((v - min) / ((max - min) || 1)) * plotH;
+
+  // 目盛り
+  ctx.font = '11px system-ui, sans-serif';
+  ctx.fillStyle = '#6b7280';
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.lineWidth = 1;
+  for(let i=0;i<=4;i++){
+    const v = min + ((max - min) * i) / 4;
+    const yy = Math.round(y(v)) + 0.5;
+    ctx.beginPath(); ctx.moveTo(pad.left, yy); ctx.lineTo(width - pad.right, yy); ctx.stroke();
+    ctx.fillText(String(Math.round(v)), 6, yy + 4);
+  }
+  ctx.fillStyle = '#111';
+  ctx.font = '600 12px system-ui, sans-serif';
+  ctx.fillText(opts.label, pad.left, 14);
+  if(!values.length) return;
+
+  // 各セッション（細線＋点）
+  ctx.strokeStyle = opts.lightColor;
+  ctx.fillStyle = opts.lightColor;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  values.forEach((v,i)=>{ if(i) ctx.lineTo(x(i), y(v)); else ctx.moveTo(x(i), y(v)); });
+  ctx.stroke();
+  values.forEach((v,i)=>{ ctx.beginPath(); ctx.arc(x(i), y(v), 2.5, 0, Math.PI * 2); ctx.fill(); });
+
+  // 移動平均（太線）
+  const avg = rollingAverage(values, PROGRESS_ROLLING_WINDOW);
+  ctx.strokeStyle = opts.color;
+  ctx.lineWidth = 2.5;
+  ctx.beginPath();
+  avg.forEach((v,i)=>{ if(i) ctx.lineTo(x(i), y(v)); else ctx.moveTo(x(i), y(v)); });
+  ctx.stroke();
+}
+function summarizeProgress(list){
+  if(!list.length) return 'まだ完了した練習はありません。';
+  const wpms = list.map(r=>Number(r.wpm) || 0);
+  const n = Math.min(PROGRESS_ROLLING_WINDOW, list.length);
+  const mean = (arr)=> arr.reduce((a,b)=>a+b, 0) / (arr.length || 1);
+  const first = mean(wpms.slice(0, n));
+  const last = mean(wpms.slice(-n));
+  const diff = last - first;
+  const sign = diff >= 0 ? '+' : '';
+  return `${list.length} sessions / best ${Math.max(...wpms).toFixed(1)} WPM / 直近${n}回の平均 ${last.toFixed(1)} WPM（最初の${n}回比 ${sign}${diff.toFixed(1)}）`;
+}
+function renderProgressPanel(){
+  // 日付順（古い→新しい）で描画
+  const list = loadSessionHistory().slice().sort((a,b)=>String(a.date).localeCompare(String(b.date)));
+  if(progressSummary) progressSummary.textContent = summarizeProgress(list);
+  drawProgressChart(wpmChart, list.map(r=>Number(r.wpm) || 0), {
+    label: `WPM（太線: ${PROGRESS_ROLLING_WINDOW}回移動平均）`, color: '#16a34a', lightColor: '#86efac',
+  });
+  drawProgressChart(accuracyChart, list.map(r=>Number(r.accuracy) || 0), {
+    label: `Accuracy %（太線: ${PROGRESS_ROLLING_WINDOW}回移動平均）`, color: '#2563eb', lightColor: '#93c5fd', min: 80, max: 100,
+  });
+}
+
+// ===== バイグラム / トリグラム分析 =====
+// ngramStats から遅い並び・ミスの多い並びを順位付けし、「Drill these」で練習課題にする。
+const NGRAM_MIN_SAMPLES = 3;
+const NGRAM_RANK_LIMIT = 15;
+const NGRAM_DRILL_TARGETS = 8;
+const NGRAM_DRILL_WORDS = 40;
+let ngramLength = 2;
+
+function rankNgrams(length){
+  const entries = Object.entries(ngramStats)
+    .filter(([gram])=>gram.length === length && !/\s/.test(gram))
+    .map(([gram, st])=>({
+      gram,
+      count: st.count,
+      missRate: st.count ? st.misses / st.count : 0,
+      meanMs: st.timed ? st.time / st.timed : null,
+      timed: st.timed || 0,
+    }));
+  const slowest = entries
+    .filter(e=>e.timed >= NGRAM_MIN_SAMPLES)
+    .sort((a,b)=>b.meanMs - a.meanMs)
+    .slice(0, NGRAM_RANK_LIMIT);
+  const errorProne = entries
+    .filter(e=>e.count >= NGRAM_MIN_SAMPLES && e.missRate > 0)
+    .sort((a,b)=>b.missRate - a.missRate || b.count - a.count)
+    .slice(0, NGRAM_RANK_LIMIT);
+  return { slowest, errorProne };
+}
+function ngramDrillTargets(){
+  // 遅い順・ミス順から交互に重複なく選ぶ
+  const { slowest, errorProne } = rankNgrams(ngramLength);
+  const targets = [];
+  for(let i=0; targets.length < NGRAM_DRILL_TARGETS && (i < slowest.length || i < errorProne.length); i++){
+    [errorProne[i], slowest[i]].forEach(e=>{
+      if(e && !targets.includes(e.gram) && targets.length < NGRAM_DRILL_TARGETS) targets.push(e.gram);
+    });
+  }
+  return targets;
+}
+function generateNgramDrillWords(targets, count){
+  // 並びを含む語を教材＋組み込み単語から。見つからない並びはそのまま繰り返す
+  const pool = [...new Set(drillWordPool())];
+  const byTarget = targets.map(gram=>{
+    const words = pool.filter(w=>w.includes(gram));
+    return words.length ? words : [gram.repeat(2), gram];
+  });
+  const words = [];
+  for(let i=0;i<count;i++) words.push(randomItem(byTarget[i % byTarget.length]));
+  return shuffleInPlace(words);
+}
+function drillNgrams(){
+  const targets = ngramDrillTargets();
+  if(!targets.length) return;
+  closeAllPanels();
+  if(practiceMode !== 'text') setPracticeMode('text', { apply: false });
+  applyGeneratedWords(generateNgramDrillWords(targets, NGRAM_DRILL_WORDS), `N-gram drill: ${targets.join(' ')}`);
+}
+function renderNgramTable(title, rows, valueLabel, value){
+  if(!rows.length) return `<div class="ngram-col"><h3>${title}</h3><p class="panel-empty">まだデータが足りません（${NGRAM_MIN_SAMPLES}回以上）。</p></div>`;
+  const body = rows.map((e,i)=>`<tr>
+      <td>${i + 1}</td>
+      <td class="muted">${escapeHTML(e.gram)}</td>
+      <td>${value(e)}</td>
+      <td>${e.count}</td>
+    </tr>`).join('');
+  return `<div class="ngram-col"><h3>${title}</h3><table class="data-table"><thead><tr><th>#</th><th>Keys</th><th>${valueLabel}</th><th>Count</th></tr></thead><tbody>${body}</tbody></table></div>`;
+}
+function renderNgramPanel(){
+  if(!ngramList) return;
+  if(ngramLengthSelect) ngramLengthSelect.value = String(ngramLength);
+  const { slowest, errorProne } = rankNgrams(ngramLength);
+  ngramList.innerHTML = renderNgramTable('Slowest', slowest, 'Mean', e=>`${Math.round(e.meanMs)}ms`)
+    + renderNgramTable('Most errors', errorProne, 'Miss', e=>`${(e.missRate * 100).toFixed(1)}%`);
+  if(ngramDrillBtn) ngramDrillBtn.disabled = !ngramDrillTargets().length;
+}
+
+// ===== 打鍵の記録と再生 =====
+// 完了したセッションの打鍵を localStorage に保存し、Replay パネルから実際の入力処理（onChar など）で再生する。
+// 再生中は replayState を立て、キー別統計・履歴・途中保存・打鍵記録を止める。
+const RECORDING_LIMIT = 10;
+const RECORDING_MAX_CHARS = 1000000; // 記録全体（JSON）の上限。履歴などと同じ localStorage を使うため
+const REPLAY_SPEEDS = [1, 2, 4, 8];
+let replayState = null;       // 再生中: { rec, index, lines, elapsed, timer, prevRule }
+let replaySpeed = 1;
+
+function logKeystroke(event){
+  if(replayState || typingStartTime == null) return;
+  // pos は打鍵前の教材先頭からの文字位置（ゴーストの進み方に使う）
+  keystrokeLog.push(Object.assign({ t: Math.round(nowMs() - typingStartTime), pos: textPosition() }, event));
+}
+function recordLineBreak(){
+  // 行の確定を記録（再生中は次の記録行へ進める）
+  if(replayState){ replayState.lines.shift(); return; }
+  if(typingStartTime != null && currentWordCount) recordingLines.push(currentWordCount);
+}
+function loadRecordings(){
+  const list = loadStored('recordings', []);
+  return Array.isArray(list) ? list : [];
+}
+function saveRecording(record){
+  if(!record || recordingStartOffset == null || !keystrokeLog.length || !recordingLines.length) return;
+  const wordCount = recordingLines.reduce((sum, n)=>sum + n, 0);
+  const recording = {
+    id: record.id,
+    date: record.date,
+    fileName: record.fileName,
+    wpm: record.wpm,
+    accuracy: record.accuracy,
+    durationMs: record.durationMs,
+    rule: inputRule,
+    words: sourceWords.slice(recordingStartOffset, recordingStartOffset + wordCount),
+    lines: recordingLines.slice(),
+    events: keystrokeLog.slice(),
+  };
+  // 1件だけで上限を超える長いセッションは記録しない（既存の記録は残す）
+  if(JSON.stringify(recording).length > RECORDING_MAX_CHARS) return;
+  // 古いものから捨てて最新 RECORDING_LIMIT 件・RECORDING_MAX_CHARS 以内に収める
+  const list = loadRecordings().concat([recording]).slice(-RECORDING_LIMIT);
+  while(list.length && JSON.stringify(list).length > RECORDING_MAX_CHARS) list.shift();
+  saveStored('recordings', list);
+}
+function deleteRecording(id){
+  saveStored('recordings', loadRecordings().filter(r=>r.id !== id));
+  renderReplayPanel();
+}
+function setReplaySpeed(speed){
+  replaySpeed = REPLAY_SPEEDS.includes(Number(speed)) ? Number(speed) : 1;
+  saveStored('replaySpeed', replaySpeed);
+  if(replaySpeedSelect) replaySpeedSelect.value = String(replaySpeed);
+}
+function startReplay(id){
+  const rec = loadRecordings().find(r=>r.id === id);
+  if(!rec || !Array.isArray(rec.events) || !rec.events.length) return;
+  cancelReplay();
+  closeAllPanels();
+  hideResumeBanner();
+  resetTypingMetrics();
+  // 記録時のルールで再生（ミス時の前進などが変わるため）。保存はしない
+  replayState = { rec, index: 0, lines: rec.lines.slice(), elapsed: 0, timer: null, prevRule: inputRule };
+  inputRule = INPUT_RULES.includes(rec.rule) ? rec.rule : 'normal';
+  continueAction = null;
+  sourceWords = rec.words.slice();
+  wordsOffset = 0;
+  cursor = 0;
+  marks = [];
+  currentWordCount = 0;
+  historyHTML = "";
+  if(modeInfo) modeInfo.textContent = `Replay ${replaySpeed}x: ${rec.fileName || '-'}（${formatHistoryDate(rec.date)}）— Escで停止`;
   layoutThreeLines();
+  scheduleReplayStep();
+}
+function scheduleReplayStep(){
+  const { rec, index } = replayState;
+  const ev = rec.events[index];
+  if(!ev) return finishReplay();
+  // 最初の打鍵はすぐに、以降は記録どおりの間隔を再生速度で縮める
+  const wait = index ? (ev.t - rec.events[index - 1].t) / replaySpeed : 0;
+  replayState.timer = setTimeout(()=>{
+    if(!replayState) return;
+    replayState.index++;
+    replayState.elapsed = ev.t - rec.events[0].t;
+    if(ev.type === 'backspace') onBackspace();
+    else if(ev.type === 'space') handleSpaceKey(ev.code || 'space');
+    else onChar(ev.ch, ev.code);
+    if(replayState) scheduleReplayStep();
+  }, Math.max(0, wait));
+}
+function cancelReplay(){
+  // 再生を止めて入力ルールを戻す（本文はそのまま）
+  if(!replayState) return;
+  clearTimeout(replayState.timer);
+  inputRule = replayState.prevRule;
+  replayState = null;
+  updateModeInfo();
+}
+function finishReplay(){
+  if(!replayState) return;
+  const replayLabel = replayState.rec.fileName || '-';
+  // 結果は再生した打鍵から集計（記録時と同じ値になる）
+  const live = computeLiveStats();
+  const result = {
+    wpm: live.netWpm,
+    rawWpm: live.rawWpm,
+    accuracy: live.accuracy,
+    errors: live.errors,
+    corrected: live.corrected,
+    uncorrected: live.uncorrected,
+  };
+  // 再生後も HUD が記録上の時間を表示し続けるよう終了時刻を合わせる
+  if(typingStartTime != null) typingEndTime = typingStartTime + live.elapsed;
+  cancelReplay();
+  updateStatsHud();
+  continueAction = restartPractice;
+  showResultScreen(`Replay finished: ${replayLabel}`, result, 'Spaceで練習に戻る');
 }
+function stopReplay(){
+  cancelReplay();
+  restartPractice();
+}
+function renderReplayPanel(){
+  if(!replayList) return;
+  const list = loadRecordings().slice().reverse();
+  if(!list.length){
+    replayList.innerHTML = '<p class="panel-empty">まだ記録はありません。練習を完了すると直近の打鍵が保存されます。</p>';
+    return;
+  }
+  const rows = list.map(r=>`<tr>
+      <td>${escapeHTML(formatHistoryDate(r.date))}</td>
+      <td>${escapeHTML(r.fileName || '-')}</td>
+      <td>${escapeHTML(formatDuration(r.durationMs))}</td>
+      <td>${Number(r.wpm || 0).toFixed(1)}</td>
+      <td>${Number(r.accuracy || 0).toFixed(1)}%</td>
+      <td class="row-actions">
+        <button type="button" class="btn btn-small" data-play="${escapeHTML(r.id)}">Play</button>
+        <button type="button" class="btn btn-small" data-delete="${escapeHTML(r.id)}" title="この記録を削除">✕</button>
+      </td>
+    </tr>`).join('');
+  replayList.innerHTML = `<table class="data-table"><thead><tr><th>Date</th><th>Text</th><th>Time</th><th>WPM</th><th>ACC</th><th></th></tr></thead><tbody>${rows}</tbody></table>`;
+}
+function onReplayListClick(e){
+  const playBtn = e.target.closest('[data-play]');
+  if(playBtn) return startReplay(playBtn.dataset.play);
+  const delBtn = e.target.closest('[data-delete]');
+  if(delBtn) deleteRecording(delBtn.dataset.delete);
+}
+
+// ===== ゴースト（自己ベストとの競争） =====
+// Text モードで教材（またはセクション）を最初から最後まで打ち終えた最速の打鍵を datasetKey ごとに保存し、
+// 次回はその進み方をゴーストのカーソルとして #text に重ね、HUD に先行 / 遅れを表示する。
+// テスト・途中再開・再生中は対象外。
+const GHOST_LIMIT = 20;
+const GHOST_MAX_CHARS = 500000;  // ゴースト全体（JSON）の上限。履歴などと同じ localStorage を使うため
+const GHOST_TICK_MS = 100;
+let ghostEnabled = true;
+let activeGhost = null;       // 競争中の自己ベスト: { key, date, wpm, durationMs, trace: [[t, pos], ...] }
+let ghostTimer = 0;
+let lineStartCache = { words: null, offset: -1, pos: 0 };
+
+function textPosition(){
+  // 教材先頭からの文字位置（行の区切りもスペース1文字として数える）
+  if(lineStartCache.words !== sourceWords || lineStartCache.offset !== wordsOffset){
+    let pos = 0;
+    for(let i=0; i<wordsOffset && i<sourceWords.length; i++) pos += sourceWords[i].length + 1;
+    lineStartCache = { words: sourceWords, offset: wordsOffset, pos };
+  }
+  return lineStartCache.pos + cursor;
+}
+function loadGhosts(){
+  const map = loadStored('ghosts', {});
+  return map && typeof map === 'object' ? map : {};
+}
+function setGhostEnabled(on){
+  ghostEnabled = Boolean(on);
+  saveStored('ghost', ghostEnabled);
+  if(ghostToggle) ghostToggle.checked = ghostEnabled;
+  if(!ghostEnabled){
+    stopGhost();
+    activeGhost = null;
+    if(flatText.length) renderText();
+    updateGhostStat();
+  }
+}
+function canRaceGhost(){
+  // 読み込んだ教材そのもの（生成した n-gram ドリルなどは除く）を最初から打っているときだけ
+  return !replayState && isLoadedTextPractice() && recordingStartOffset === 0;
+}
+function startGhost(){
+  stopGhost();
+  activeGhost = ghostEnabled && canRaceGhost() ? loadGhosts()[datasetKey()] || null : null;
+  if(activeGhost) ghostTimer = setInterval(updateGhost, GHOST_TICK_MS);
+  updateGhostStat();
+}
+function stopGhost(){
+  clearInterval(ghostTimer);
+  ghostTimer = 0;
+}
+function ghostPosAt(elapsed){
+  let pos = 0;
+  for(const [t, p] of activeGhost.trace){
+    if(t > elapsed) break;
+    pos = p;
+  }
+  return pos;
+}
+function ghostTimeAt(pos){
+  // ゴーストが pos に初めて達した時刻（達していなければ最後の時刻）
+  const trace = activeGhost.trace;
+  if(pos <= 0 || !trace.length) return 0;
+  for(const [t, p] of trace){
+    if(p >= pos) return t;
+  }
+  return trace[trace.length - 1][0];
+}
+function ghostLineIndex(){
+  if(!activeGhost || typingStartTime == null) return -1;
+  return ghostPosAt(elapsedTypingMs()) - (textPosition() - cursor);
+}
+function updateGhost(){
+  if(!activeGhost || typingStartTime == null) return;
+  if(typingEndTime != null) stopGhost();
+  if(textEl){
+    const index = ghostLineIndex();
+    textEl.querySelectorAll('.line.current .char').forEach((el, i)=> el.classList.toggle('ghost', i === index));
+  }
+  updateGhostStat();
+}
+function updateGhostStat(){
+  if(!statsEl) return;
+  const el = statsEl.querySelector('[data-stat="ghost"]');
+  if(!el) return;
+  el.closest('.stat').hidden = !activeGhost;
+  if(!activeGhost) return;
+  // 正: ゴーストより遅れている / 負: 先行している
+  const delta = elapsedTypingMs() - ghostTimeAt(textPosition());
+  el.textContent = `${(Math.abs(delta) / 1000).toFixed(1)}s ${delta > 0 ? 'behind' : 'ahead'}`;
+  el.classList.toggle('ahead', delta <= 0);
+}
+function ghostTrace(){
+  // 各打鍵の「打鍵後」の位置 = 次の打鍵の打鍵前の位置（最後は終了時の位置）
+  const finalPos = textPosition();
+  return keystrokeLog.map((e, i)=>[e.t, i + 1 < keystrokeLog.length ? keystrokeLog[i + 1].pos : finalPos]);
+}
+function saveGhostIfBest(record){
+  // 最後まで打ち終えたときだけ。最速なら置き換えて完了メッセージに追記する文言を返す
+  if(!record || !canRaceGhost() || !keystrokeLog.length || wordsOffset < sourceWords.length) return '';
+  const key = datasetKey();
+  const ghosts = loadGhosts();
+  const best = ghosts[key];
+  if(best && best.durationMs <= record.durationMs) return '';
+  const ghost = { key, date: record.date, wpm: record.wpm, durationMs: record.durationMs, trace: ghostTrace(), savedAt: Date.now() };
+  // 1件だけで上限を超える長い教材は保存しない
+  if(JSON.stringify(ghost).length > GHOST_MAX_CHARS) return '';
+  ghosts[key] = ghost;
+  // 新しい順に GHOST_LIMIT 件・GHOST_MAX_CHARS 以内に収める
+  const kept = Object.values(ghosts).sort((a,b)=>b.savedAt - a.savedAt).slice(0, GHOST_LIMIT);
+  while(kept.length && JSON.stringify(kept).length > GHOST_MAX_CHARS) kept.pop();
+  if(!saveStored('ghosts', Object.fromEntries(kept.map(g=>[g.key, g])))) return '';
+  return best ? `自己ベスト更新（${formatDuration(best.durationMs - record.durationMs)}短縮）` : 'ゴーストを保存しました';
+}
+
+// ===== 指・手の負荷 =====
+// 配列の finger / row から、指・手・段ごとの打鍵割合と手の交互率・同指連続率を数える。
+// スペース（親指）・改行・配列にない文字は数えず、前後の並びも切る。Shift は数えない。
+const WORKLOAD_FINGERS = [
+  { id: 'LP', label: 'L pinky' }, { id: 'LR', label: 'L ring' }, { id: 'LM', label: 'L middle' }, { id: 'LI', label: 'L index' },
+  { id: 'RI', label: 'R index' }, { id: 'RM', label: 'R middle' }, { id: 'RR', label: 'R ring' }, { id: 'RP', label: 'R pinky' },
+];
+const WORKLOAD_ROW_LABELS = ['Number', 'Top', 'Home', 'Bottom'];
+
+function createWorkload(){
+  // pairs: 連続した2打鍵の数 / alternations: うち左右が入れ替わった数 / sameFinger: 同じ指で別のキーを打った数
+  return { keys: 0, fingers: {}, hands: { L: 0, R: 0 }, rows: {}, pairs: 0, alternations: 0, sameFinger: 0, prev: null };
+}
+function addWorkloadChar(work, ch){
+  const map = ch === ' ' ? null : computeKeyForChar(ch);
+  const key = map && activeLayout().keys[map.code];
+  if(!key || !key.finger || key.finger === 'TH'){ work.prev = null; return; }
+  const hand = key.finger[0];
+  work.keys++;
+  work.fingers[key.finger] = (work.fingers[key.finger] || 0) + 1;
+  work.hands[hand] = (work.hands[hand] || 0) + 1;
+  work.rows[key.row] = (work.rows[key.row] || 0) + 1;
+  if(work.prev){
+    work.pairs++;
+    if(work.prev.finger[0] !== hand) work.alternations++;
+    else if(work.prev.finger === key.finger && work.prev.code !== key.code) work.sameFinger++;
+  }
+  work.prev = key;
+}
+function workloadSummary(work){
+  // 履歴に残す形（直前のキー prev は除く）
+  return {
+    keys: work.keys,
+    fingers: Object.assign({}, work.fingers),
+    hands: Object.assign({}, work.hands),
+    rows: Object.assign({}, work.rows),
+    pairs: work.pairs,
+    alternations: work.alternations,
+    sameFinger: work.sameFinger,
+  };
+}
+function sanitizeWorkload(raw){
+  // 取り込んだ履歴の workload を数値だけにそろえる
+  if(!raw || typeof raw !== 'object') return null;
+  const num = (v)=>{ const n = Number(v); return Number.isFinite(n) && n >= 0 ? n : 0; };
+  const counts = (obj)=>{
+    const out = {};
+    if(obj && typeof obj === 'object') Object.entries(obj).forEach(([k, v])=>{ if(/^\w+$/.test(k)) out[k] = num(v); });
+    return out;
+  };
+  const work = createWorkload();
+  Object.assign(work, { keys: num(raw.keys), fingers: counts(raw.fingers), rows: counts(raw.rows),
+    pairs: num(raw.pairs), alternations: num(raw.alternations), sameFinger: num(raw.sameFinger) });
+  work.hands = Object.assign({ L: 0, R: 0 }, counts(raw.hands));
+  return workloadSummary(work);
+}
+function analyzeWorkload(text){
+  const work = createWorkload();
+  for(const ch of text) addWorkloadChar(work, ch);
+  return work;
+}
+function formatShare(count, total){
+  return total > 0 ? `${(count / total * 100).toFixed(1)}%` : '–';
+}
+function renderWorkloadSessionOptions(){
+  // 今回のセッション＋workload を記録した過去のセッション（新しい順）
+  if(!workloadSessionSelect) return;
+  const current = workloadSessionSelect.value;
+  const records = loadSessionHistory().filter(r=>r.workload).reverse();
+  workloadSessionSelect.innerHTML = '<option value="">Current session</option>'
+    + records.map(r=>`<option value="${escapeHTML(r.id)}">${escapeHTML(`${formatHistoryDate(r.date)} ${r.fileName || '-'}`)}</option>`).join('');
+  workloadSessionSelect.value = records.some(r=>r.id === current) ? current : '';
+}
+function selectedSessionWorkload(){
+  const id = workloadSessionSelect ? workloadSessionSelect.value : '';
+  const record = id ? loadSessionHistory().find(r=>r.id === id) : null;
+  return record && record.workload ? record.workload : sessionWorkload;
+}
+function renderWorkloadPanel(){
+  if(!workloadList) return;
+  const columns = [
+    { label: 'Text', work: analyzeWorkload(currentBlocks.map(b=>b.text).join('\n')) },
+    { label: 'Session', work: selectedSessionWorkload() },
+  ];
+  const rowIndexes = Array.from(new Set(columns.flatMap(c=>Object.keys(c.work.rows).map(Number)))).sort((a,b)=>a-b);
+  const groups = [
+    { title: 'Hands', items: [
+      { label: 'Left', value: w=>formatShare(w.hands.L, w.keys) },
+      { label: 'Right', value: w=>formatShare(w.hands.R, w.keys) },
+    ] },
+    { title: 'Fingers', items: WORKLOAD_FINGERS.map(f=>({ label: f.label, value: w=>formatShare(w.fingers[f.id] || 0, w.keys) })) },
+    { title: 'Rows', items: rowIndexes.map(i=>({ label: WORKLOAD_ROW_LABELS[i] || `Row ${i + 1}`, value: w=>formatShare(w.rows[i] || 0, w.keys) })) },
+    { title: 'Sequences', items: [
+      { label: 'Hand alternation', value: w=>formatShare(w.alternations, w.pairs) },
+      { label: 'Same-finger bigrams', value: w=>formatShare(w.sameFinger, w.pairs) },
+    ] },
+    { title: 'Count', items: [
+      { label: 'Keystrokes', value: w=>String(w.keys) },
+      { label: 'Bigrams', value: w=>String(w.pairs) },
+    ] },
+  ];
+  const head = `<tr><th></th>${columns.map(c=>`<th>${c.label}</th>`).join('')}</tr>`;
+  const body = groups.map(group=>
+    `<tr class="group-row"><th colspan="${columns.length + 1}">${group.title}</th></tr>`
+    + group.items.map(item=>`<tr><td class="muted">${escapeHTML(item.label)}</td>${columns.map(c=>`<td>${item.value(c.work)}</td>`).join('')}</tr>`).join('')
+  ).join('');
+  workloadList.innerHTML = `<table class="data-table"><thead>${head}</thead><tbody>${body}</tbody></table>`;
+}
+
+// ===== パネル（オーバーレイ表示） =====
+// 開いている間は打鍵を練習に流さない（Esc で閉じる）
+function isPanelOpen(panel){ return Boolean(panel && !panel.hidden); }
+function anyPanelOpen(){ return Array.from(document.querySelectorAll('.panel')).some(p=>!p.hidden); }
+function openPanel(panel){
+  if(!panel) return;
+  document.querySelectorAll('.panel').forEach(p=>{ if(p!==panel) p.hidden = true; });
+  showPanelMessage(panel, '');
+  panel.hidden = false;
+}
+const CONFIRM_MS = 3000;
+function confirmClick(btn, label='Delete?'){
+  // 1回目のクリックで確認表示に変え、CONFIRM_MS 以内にもう一度押したら true（ダイアログで入力を止めない）
+  if(btn.dataset.confirming) return true;
+  const original = btn.textContent;
+  btn.dataset.confirming = '1';
+  btn.textContent = label;
+  btn.classList.add('confirming');
+  setTimeout(()=>{
+    delete btn.dataset.confirming;
+    btn.textContent = original;
+    btn.classList.remove('confirming');
+  }, CONFIRM_MS);
+  return false;
+}
+function showPanelMessage(panel, message){
+  // パネル内の操作結果（取り込み件数・エラーなど）。空文字で隠す
+  const el = panel && panel.querySelector('[data-panel-message]');
+  if(!el) return;
+  el.textContent = message;
+  el.hidden = !message;
+}
+function closePanel(panel){ if(panel) panel.hidden = true; }
+function closeAllPanels(){ document.querySelectorAll('.panel').forEach(p=>{ p.hidden = true; }); }
 
 // ===== 初期化 =====
 // 重要: リサイズ時に常に末尾だけを再調整し、途中までの進捗を保つ。
 function init(){
+  initLayouts();
+  populateLayoutSelect();
   buildKeyboard();
   syncShiftKeys();
+  if(layoutSelect){
+    layoutSelect.addEventListener('change', ()=> setActiveLayout(layoutSelect.value));
+  }
+  setEmulateLayout(loadStored('emulate', false));
+  setFingerGuide(loadStored('fingers', true));
+  setGhostEnabled(loadStored('ghost', true));
+  if(ghostToggle) ghostToggle.addEventListener('change', ()=> setGhostEnabled(ghostToggle.checked));
+  if(fingerToggle) fingerToggle.addEventListener('change', ()=> setFingerGuide(fingerToggle.checked));
+  if(emulateToggle){
+    emulateToggle.addEventListener('change', ()=> setEmulateLayout(emulateToggle.checked));
+  }
+  if(layoutPickBtn && layoutPicker){
+    layoutPickBtn.addEventListener('click', ()=> layoutPicker.click());
+    layoutPicker.addEventListener('change', ()=>{
+      const file = layoutPicker.files && layoutPicker.files[0];
+      loadLayoutFromFile(file || null);
+    });
+  }
   if(filePicker){
     filePicker.addEventListener('change', ()=>{
       const file = filePicker.files && filePicker.files[0];
@@ -655,18 +3150,153 @@ function init(){
   if (pickBtn && filePicker) {
     pickBtn.addEventListener('click', () => filePicker.click());
   }
+  initDropTarget();
+  window.addEventListener('paste', onPaste);
+
+  if(historyBtn){
+    historyBtn.addEventListener('click', ()=>{ renderHistoryPanel(); openPanel(historyPanel); });
+  }
+  if(historyList) historyList.addEventListener('click', onHistoryListClick);
+  lessonLevel = Number(loadStored('lessonLevel', 0)) || 0;
+  practiceMode = PRACTICE_MODES.includes(loadStored('practiceMode', 'text')) ? loadStored('practiceMode', 'text') : 'text';
+  if(modeSelect){
+    modeSelect.value = practiceMode;
+    modeSelect.addEventListener('change', ()=> setPracticeMode(modeSelect.value));
+  }
+  drillKeys = new Set(loadStored('drillKeys', []));
+  drillWordKind = DRILL_WORD_KINDS.includes(loadStored('drillKind', 'mixed')) ? loadStored('drillKind', 'mixed') : 'mixed';
+  if(drillControls) drillControls.hidden = practiceMode !== 'drill';
+  if(drillPickBtn) drillPickBtn.addEventListener('click', ()=> setDrillPicking(!drillPicking));
+  if(drillClearBtn) drillClearBtn.addEventListener('click', clearDrillKeys);
+  if(drillStartBtn) drillStartBtn.addEventListener('click', startDrill);
+  if(drillKindSelect){
+    drillKindSelect.value = drillWordKind;
+    drillKindSelect.addEventListener('change', ()=>{
+      drillWordKind = drillKindSelect.value;
+      saveStored('drillKind', drillWordKind);
+    });
+  }
+  updatePickedKeys();
+  updateModeInfo();
+  setInputRule(loadStored('inputRule', 'normal'));
+  if(ruleSelect) ruleSelect.addEventListener('change', ()=> setInputRule(ruleSelect.value));
+  blindMode = BLIND_MODES.includes(loadStored('blindMode', 'off')) ? loadStored('blindMode', 'off') : 'off';
+  setBlindMode(blindMode);
+  blindAuto = Boolean(loadStored('blindAuto', false));
+  if(blindAutoToggle) blindAutoToggle.checked = blindAuto;
+  if(blindAutoCriteria) blindAutoCriteria.hidden = !blindAuto;
+  setBlindAutoCriteria(loadStored('blindAutoSessions', BLIND_AUTO_DEFAULT_SESSIONS), loadStored('blindAutoAccuracy', BLIND_AUTO_DEFAULT_ACCURACY));
+  [blindAutoSessionsInput, blindAutoAccuracyInput].forEach(input=>{
+    if(input) input.addEventListener('change', ()=> setBlindAutoCriteria(blindAutoSessionsInput.value, blindAutoAccuracyInput.value));
+  });
+  if(blindSelect) blindSelect.addEventListener('change', ()=> setBlindMode(blindSelect.value));
+  if(blindAutoToggle) blindAutoToggle.addEventListener('change', ()=> setBlindAuto(blindAutoToggle.checked));
+  testMode = parseTestOption(loadStored('test', ''));
+  testSource = TEST_SOURCES.includes(loadStored('testSource', 'text')) ? loadStored('testSource', 'text') : 'text';
+  if(testSelect){
+    testSelect.value = testMode.kind ? `${testMode.kind}:${testMode.value}` : '';
+    testSelect.addEventListener('change', ()=> setTestOption(testSelect.value));
+  }
+  if(testSourceSelect){
+    testSourceSelect.value = testSource;
+    testSourceSelect.hidden = !testMode.kind;
+    testSourceSelect.addEventListener('change', ()=>{
+      testSource = TEST_SOURCES.includes(testSourceSelect.value) ? testSourceSelect.value : 'text';
+      saveStored('testSource', testSource);
+      restartPractice();
+    });
+  }
+  keyStats = loadStored('keyStats', {}) || {};
+  ngramStats = loadStored('ngramStats', {}) || {};
+  setHeatmapMode(loadStored('heatmap', 'off'));
+  if(heatmapBtn) heatmapBtn.addEventListener('click', cycleHeatmapMode);
+  window.addEventListener('pagehide', ()=>{
+    saveKeyStats();
+    saveResumeSnapshot();
+  });
+  document.addEventListener('visibilitychange', ()=>{
+    if(document.visibilityState === 'hidden') saveResumeSnapshot();
+  });
+  if(resumeBtn) resumeBtn.addEventListener('click', ()=> resumeFromSnapshot(resumeCandidate));
+  if(resumeDismissBtn){
+    resumeDismissBtn.addEventListener('click', ()=>{
+      if(resumeCandidate) deleteResumeSnapshot(resumeCandidate.key);
+      hideResumeBanner();
+    });
+  }
+  if(libraryBtn) libraryBtn.addEventListener('click', ()=>{ renderLibraryPanel(); openPanel(libraryPanel); });
+  if(libraryList) libraryList.addEventListener('click', onLibraryListClick);
+  if(sectionBtn) sectionBtn.addEventListener('click', ()=>{ renderSectionPanel(); openPanel(sectionPanel); });
+  if(sectionAllBtn) sectionAllBtn.addEventListener('click', ()=> setAllSections(true));
+  if(sectionNoneBtn) sectionNoneBtn.addEventListener('click', ()=> setAllSections(false));
+  if(sectionPracticeBtn) sectionPracticeBtn.addEventListener('click', practiceSections);
+  if(ngramBtn) ngramBtn.addEventListener('click', ()=>{ renderNgramPanel(); openPanel(ngramPanel); });
+  if(ngramLengthSelect){
+    ngramLengthSelect.addEventListener('change', ()=>{
+      ngramLength = Number(ngramLengthSelect.value) === 3 ? 3 : 2;
+      renderNgramPanel();
+    });
+  }
+  if(ngramDrillBtn) ngramDrillBtn.addEventListener('click', drillNgrams);
+  setReplaySpeed(loadStored('replaySpeed', 1));
+  if(replaySpeedSelect) replaySpeedSelect.addEventListener('change', ()=> setReplaySpeed(replaySpeedSelect.value));
+  if(replayBtn) replayBtn.addEventListener('click', ()=>{ renderReplayPanel(); openPanel(replayPanel); });
+  if(replayList) replayList.addEventListener('click', onReplayListClick);
+  if(workloadBtn) workloadBtn.addEventListener('click', ()=>{ renderWorkloadSessionOptions(); renderWorkloadPanel(); openPanel(workloadPanel); });
+  if(workloadSessionSelect) workloadSessionSelect.addEventListener('change', renderWorkloadPanel);
+  if(progressBtn){
+    // canvas の実寸はパネル表示後に確定するため、開いてから描画
+    progressBtn.addEventListener('click', ()=>{ openPanel(progressPanel); renderProgressPanel(); });
+  }
+  if(historyClearBtn) historyClearBtn.addEventListener('click', clearSessionHistory);
+  if(historyCsvBtn) historyCsvBtn.addEventListener('click', exportHistoryCsv);
+  if(historyJsonBtn) historyJsonBtn.addEventListener('click', exportJson);
+  if(ngramCsvBtn) ngramCsvBtn.addEventListener('click', exportStatsCsv);
+  if(historyImportBtn && historyImportPicker){
+    historyImportBtn.addEventListener('click', ()=> historyImportPicker.click());
+    historyImportPicker.addEventListener('change', ()=> importHistoryFile(historyImportPicker.files && historyImportPicker.files[0]));
+  }
+  document.querySelectorAll('.panel').forEach(panel=>{
+    panel.addEventListener('click', (e)=>{
+      // 背景クリックまたは閉じるボタンで閉じる
+      if(e.target === panel || e.target.closest('[data-close-panel]')) closePanel(panel);
+    });
+  });
 
   // 物理キーボード
   window.addEventListener('keydown',(e)=>{
     const k=e.key;
+    if(anyPanelOpen()){
+      if(k==='Escape') closeAllPanels();
+      return;
+    }
+    // ツールバーの入力欄などへの入力は練習に送らない
+    if(isFormTarget(e)) return;
+    // 再生中は入力を受け付けない（Esc で停止）
+    if(replayState){
+      if(k==='Escape') stopReplay();
+      e.preventDefault();
+      return;
+    }
     if(k==='Shift'){ shiftPhysical=true; syncShiftKeys(); return; }
+    // Backspace は Ctrl 付きでも1文字戻す
     if(k==='Backspace'){ e.preventDefault(); onBackspace(); return; }
+    // Ctrl/Cmd 付き（貼り付けなどのショートカット）は入力として扱わない（AltGr の文字は通す）
+    if(isShortcutKey(e)) return;
     if(k==='Enter'){ e.preventDefault(); return; }
     if(k==='Tab'){ e.preventDefault(); onChar(' ','tab'); onChar(' ','tab'); return; }
     if(k===' '){
       e.preventDefault();
       return handleSpaceKey('space');
     }
+    const emulated = emulatedKeyFor(e);
+    if(emulated){
+      // 物理位置から選択中の配列の文字を生成（Shift は物理/仮想の状態に従う）
+      e.preventDefault();
+      const out = resolveOutput(emulated.code);
+      if(out != null) onChar(out, emulated.code);
+      return;
+    }
     if(k.length===1){
       const base = /^[A-Z]$/.test(k) ? k.toLowerCase() : (REVERSE_SHIFT_MAP[k] || k);
       return onChar(k, base);
@@ -679,14 +3309,17 @@ function init(){
   const onResize = ()=>{
     cancelAnimationFrame(rAf);
     rAf = requestAnimationFrame(()=>{
-      const typedCount = cursor;
+      if(isPanelOpen(progressPanel)) renderProgressPanel();
+      // 完了後の結果画面（テストの結果・Complete 表示）は本文で上書きしない
+      if(typingEndTime != null && !flatText.length) return;
+      // marks（ミス表示を含む）は layoutThreeLines が引き継ぐ
       layoutThreeLines();
-      cursor = clamp(typedCount, 0, flatText.length);
-      for(let i=0;i<flatText.length;i++) marks[i] = (i < cursor) ? 1 : 0;
-      renderText();
     });
   };
   window.addEventListener('resize', onResize);
+  // 経過時間は打鍵がなくても進むため、HUDを定期的に更新
+  updateStatsHud();
+  setInterval(()=>{ if(typingStartTime != null && typingEndTime == null) updateStatsHud(); }, 200);
   // 初期表示はレイアウト確定後に実行（キーボード幅が0になるのを回避）
   requestAnimationFrame(()=>{
     loadDefaultText();